@@ -1,12 +1,48 @@
 // Background service worker - handles API calls and scoring
 
-import { calculateScores } from '../utils/bayesian.js';
-import { searchByCategory, searchByText, geocodeLocation, getAutocompleteSuggestions } from '../utils/api.js';
-import { getStoredApiKey } from '../utils/storage.js';
+import { rankPlaces } from '../utils/ranking.js';
+import { calculateScores, getAlgorithm } from '../utils/bayesian.js';
+import { summarizeArea, buildHistograms } from '../utils/compare.js';
+import { searchByCategory, searchByCategoryTiled, searchByText, searchAlongRoute, geocodeLocation, getAutocompleteSuggestions, getPlaceDetails, computeTravelTimes, computeRoute } from '../utils/api.js';
+import { decodePolyline, pathLength } from '../utils/route.js';
+import { getStoredApiKey, getPreferences, getSessionState, saveSessionState } from '../utils/storage.js';
+import { withCache } from '../utils/cache.js';
+import { assertWithinBudget } from '../utils/usage.js';
+import { normalizeFilters, hasActiveFilters, applyFilters } from '../utils/filters.js';
+import { TRAVEL_MODES, normalizeTravel } from '../utils/travel.js';
+import { listWatches, getDueWatches, detectWatchChanges, recordWatchCheck } from '../utils/watches.js';
+import { recordObservations } from '../utils/trends.js';
+import { getPlaceTypeLabel } from '../utils/place-types.js';
+import { t, getPlacesLocale, getFormatter } from '../utils/i18n.js';
 import { MessageTypes } from '../utils/messaging.js';
 import { CONFIG } from '../config/constants.js';
 
-// Listen for messages from popup
+const WATCH_ALARM = 'refresh-watches';
+const WATCH_NOTIFICATION_PREFIX = 'watch:';
+
+// Alarms aren't guaranteed to survive a browser restart, so re-register on load
+chrome.alarms.get(WATCH_ALARM).then(alarm => {
+  if (!alarm) {
+    chrome.alarms.create(WATCH_ALARM, { periodInMinutes: CONFIG.WATCH.ALARM_PERIOD_MINUTES });
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WATCH_ALARM) {
+    refreshDueWatches();
+  }
+});
+
+// Open the first changed place when a watch notification is clicked
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(WATCH_NOTIFICATION_PREFIX)) return;
+
+  const placeId = notificationId.split(':')[2];
+  chrome.tabs.create({ url: `https://www.google.com/maps/place/?q=place_id:${encodeURIComponent(placeId)}` });
+  chrome.notifications.clear(notificationId);
+});
+
+// Listen for messages from the popup, side panel and Maps content script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === MessageTypes.SEARCH) {
     handleSearch(request.payload)
@@ -28,8 +64,74 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       .catch(error => sendResponse({ error: error.message }));
     return true;
   }
+
+  if (request.type === MessageTypes.GET_PLACE_DETAILS) {
+    handlePlaceDetails(request.payload)
+      .then(data => sendResponse({ data }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === MessageTypes.COMPARE_AREAS) {
+    handleCompareAreas(request.payload)
+      .then(data => sendResponse({ data }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === MessageTypes.SCORE_MAPS_PLACES) {
+    handleScoreMapsPlaces(request.payload)
+      .then(data => sendResponse({ data }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === MessageTypes.GET_SESSION) {
+    getSession()
+      .then(data => sendResponse({ data }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.type === MessageTypes.UPDATE_SESSION) {
+    updateSession(request.payload)
+      .then(data => sendResponse({ data }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
 });
 
+// State shared by the popup and side panel: the results on screen, the
+// search form and the scoring parameters. Loaded once per service worker lifetime; updates are applied to
+// the same object, so they're merged in the order they arrive.
+let sessionLoad = null;
+
+/**
+ * Get the shared view state
+ * @returns {Promise<object>} - { search, draft, scoringParams }
+ */
+function getSession() {
+  sessionLoad ??= getSessionState().then(session => session || { search: null, draft: null });
+  return sessionLoad;
+}
+
+/**
+ * Merge a view's changes into the shared state and pass them on to the other views
+ * @param {object} params
+ * @param {string} params.viewId - Sending view, which ignores its own change
+ * @param {object} params.changes - Any of { search, draft, scoringParams }
+ * @returns {Promise<object>} - The updated shared state
+ */
+async function updateSession({ viewId, changes }) {
+  const session = await getSession();
+  Object.assign(session, changes);
+  await saveSessionState(session);
+
+  // Rejects when no other view is open to receive it
+  chrome.runtime.sendMessage({ type: MessageTypes.SESSION_CHANGED, payload: { viewId, changes } }).catch(() => {});
+  return session;
+}
+
 /**
  * Get location using IP geolocation (fallback when browser geolocation fails)
  */
@@ -79,11 +181,73 @@ async function getLocationByIP() {
 /**
  * Handle autocomplete requests
  */
-async function handleAutocomplete({ input }) {
+async function handleAutocomplete({ input, sessionToken }) {
   const apiKey = await getStoredApiKey();
   if (!apiKey) return [];
 
-  return getAutocompleteSuggestions(input, apiKey);
+  return getAutocompleteSuggestions(input, apiKey, sessionToken, await getPlacesLocale());
+}
+
+/**
+ * Score the places listed on a Google Maps results page
+ * Uses the popup's saved algorithm and parameters. Maps entries carry no
+ * distance, so distance decay is left off. No API calls are made.
+ * @param {object} params
+ * @param {Array} params.places - [{ id, name, rating, reviewCount }] from the content script
+ * @returns {Promise<Array>} - [{ id, rank, score, title }] for places with enough reviews, best first
+ */
+async function handleScoreMapsPlaces({ places }) {
+  const prefs = await getPreferences() || {};
+  const algorithm = getAlgorithm(prefs.algorithm) ? prefs.algorithm : 'bayesian';
+  const stored = prefs.scoringParams || {};
+  const params = { ...stored, ...stored[algorithm], distanceDecay: 'off' };
+
+  const scored = calculateScores(
+    places.map(place => ({
+      id: place.id,
+      displayName: { text: place.name },
+      rating: place.rating,
+      userRatingCount: place.reviewCount
+    })),
+    algorithm,
+    params
+  );
+
+  const format = getFormatter((await getPlacesLocale()).tag);
+  const algorithmLabel = chrome.i18n.getMessage(`algorithm_${algorithm}`) || getAlgorithm(algorithm).label;
+
+  return scored.map((place, index) => ({
+    id: place.id,
+    rank: index + 1,
+    score: format.decimal(place.bayesianScore, 2),
+    title: t('mapsBadgeTitle', [algorithmLabel, index + 1, scored.length])
+  }));
+}
+
+/**
+ * Load extended details for one result card (cached per place ID)
+ * @param {object} params
+ * @param {string} params.placeId - Google Place ID
+ * @returns {Promise<object>} - { phone, website, weeklyHours, editorialSummary, reviews, fromCache }
+ */
+async function handlePlaceDetails({ placeId }) {
+  const apiKey = await getStoredApiKey();
+
+  if (!apiKey) {
+    throw new Error(t('errorApiKeyMissing'));
+  }
+
+  const locale = await getPlacesLocale();
+  const details = await withCache(
+    'placeDetails',
+    { placeId, language: locale.languageCode, region: locale.regionCode },
+    async () => {
+      await assertWithinBudget();
+      return getPlaceDetails(placeId, apiKey, { extended: true, locale });
+    }
+  );
+
+  return { ...details.value, fromCache: details.fromCache };
 }
 
 /**
@@ -91,59 +255,356 @@ async function handleAutocomplete({ input }) {
  * @param {object} params
  * @param {string} params.searchQuery - Category type or text query
  * @param {string} params.searchMode - 'category' or 'text'
- * @param {object} params.location - {lat, lng} or {query: string}
- * @param {number} params.radius - Search radius in meters
- * @param {string} params.algorithm - 'bayesian' or 'popularity'
- * @returns {Promise<Array>} - Top 3 scored results
+ * @param {string[]} params.includedTypes - Category types searched together (defaults to [searchQuery])
+ * @param {string[]} params.excludedTypes - Category types to leave out
+ * @param {string[]} params.excludedPrimaryTypes - Primary types to leave out
+ * @param {object} params.location - {lat, lng}, {placeId, query, sessionToken} or {query: string}
+ * @param {object} [params.route] - { origin, destination, polyline } to search along a route instead of
+ *   around the location; origin and destination take the same forms as location, polyline is encoded
+ * @param {number} params.radius - Search radius in meters (ignored along a route)
+ * @param {string} params.algorithm - Scoring algorithm id (see listAlgorithms in utils/bayesian.js)
+ * @param {boolean} params.tiled - Use adaptive tiling for category searches
+ * @param {number} params.maxApiCalls - Request budget for tiled searches
+ * @param {boolean} params.bypassCache - Ignore cached responses and fetch fresh data
+ * @param {object} params.scoringParams - Overrides for the algorithm's tunable parameters
+ * @param {object} params.filters - { openNow, maxPriceLevel, minRating, minReviews }
+ * @param {object} params.travel - { mode, maxMinutes, use } - rank by travel time instead of distance
+ * @returns {Promise<object>} - { results, places, center, candidateCount, matchCount, fromCache, cachedAt, travelError }
  */
-async function handleSearch({ searchQuery, searchMode, location, radius, algorithm = 'bayesian' }) {
+async function handleSearch({ searchQuery, searchMode, includedTypes = [], excludedTypes = [], excludedPrimaryTypes = [], location, radius, algorithm = 'bayesian', tiled = false, maxApiCalls = CONFIG.TILING.MAX_API_CALLS, bypassCache = false, scoringParams = {}, filters: rawFilters = {}, travel: rawTravel = {}, route: rawRoute = null }) {
   const apiKey = await getStoredApiKey();
 
   if (!apiKey) {
-    throw new Error('API key not configured. Please add your Google API key in settings.');
+    throw new Error(t('errorApiKeyMissing'));
+  }
+
+  const locale = await getPlacesLocale();
+
+  // Along a route the search starts at the route's origin
+  const route = rawRoute ? await resolveRoute(rawRoute, { apiKey, locale, bypassCache }) : null;
+  const coordinates = route
+    ? route.origin
+    : await resolveLocation(location, { apiKey, locale, bypassCache });
+
+  const useTiling = !route && searchMode === 'category' && tiled;
+  const callBudget = Math.min(Math.max(1, maxApiCalls || 1), CONFIG.TILING.MAX_API_CALLS_LIMIT);
+  const filters = normalizeFilters(rawFilters);
+  const types = searchMode === 'category'
+    ? {
+      includedTypes: includedTypes.length > 0 ? includedTypes : [searchQuery],
+      excludedTypes,
+      excludedPrimaryTypes
+    }
+    : null;
+
+  // Only Text Search receives filters in the request, so only its key varies
+  // with them. "Open now" goes stale quickly and gets a short-lived namespace.
+  const search = await withCache(
+    filters.openNow ? 'searchOpenNow' : 'search',
+    {
+      searchMode,
+      searchQuery,
+      location: { lat: coordinates.lat, lng: coordinates.lng },
+      radius: route ? undefined : radius,
+      polyline: route?.polyline,
+      tiled: useTiling,
+      maxApiCalls: useTiling ? callBudget : undefined,
+      // Single-type searches keep the keys they had before multi-type search
+      types: types && (types.includedTypes.length > 1 || excludedTypes.length > 0 || excludedPrimaryTypes.length > 0)
+        ? {
+          included: [...types.includedTypes].sort(),
+          excluded: [...excludedTypes].sort(),
+          excludedPrimary: [...excludedPrimaryTypes].sort()
+        }
+        : undefined,
+      filters: (searchMode === 'text' || route) && hasActiveFilters(filters) ? filters : undefined,
+      // Names, addresses and type labels come back in the requested language
+      language: locale.languageCode,
+      region: locale.regionCode
+    },
+    () => fetchPlaces({ searchQuery, searchMode, types, coordinates, radius, route, useTiling, callBudget, filters, apiKey, locale }),
+    { bypass: bypassCache }
+  );
+
+  // Cached responses were already recorded when they were fetched
+  if (!search.fromCache) {
+    await recordObservations(search.value || []);
+  }
+
+  const cacheInfo = { fromCache: search.fromCache, cachedAt: search.cachedAt };
+  const center = { lat: coordinates.lat, lng: coordinates.lng };
+  const candidateCount = search.value?.length || 0;
+
+  // Apply every filter client-side (Nearby Search can't push any of them down)
+  let places = applyFilters(search.value || [], filters);
+
+  if (places.length === 0) {
+    return { results: [], places: [], center, candidateCount, matchCount: 0, ...cacheInfo };
+  }
+
+  // Time the best candidates; without travel times the ranking falls back to
+  // straight-line distance and the popup shows why
+  let travel = normalizeTravel(rawTravel);
+  let travelError = null;
+  if (travel.mode) {
+    try {
+      places = await addTravelTimes(places, { algorithm, scoringParams, center, mode: travel.mode, apiKey, bypassCache });
+    } catch (error) {
+      travelError = error.message;
+      travel = null;
+    }
+  }
+
+  // Score with the selected algorithm and keep the raw places so the popup
+  // can re-rank them locally when scoring parameters change
+  const results = rankPlaces(places, algorithm, scoringParams, { travel });
+
+  return { results, places, center, candidateCount, matchCount: places.length, ...cacheInfo, travelError };
+}
+
+/**
+ * Add travelSeconds to the top-scored places with the route matrix
+ * Only the first TRAVEL_TIME.MAX_DESTINATIONS candidates are timed, which keeps
+ * the request small; the rest keep their straight-line distance only.
+ * @returns {Promise<Array>} - The same places, with travelSeconds where a route exists
+ */
+async function addTravelTimes(places, { algorithm, scoringParams, center, mode, apiKey, bypassCache }) {
+  const destinations = calculateScores(places, algorithm, scoringParams)
+    .filter(place => place.location)
+    .slice(0, CONFIG.TRAVEL_TIME.MAX_DESTINATIONS)
+    .map(place => ({ id: place.id, lat: place.location.latitude, lng: place.location.longitude }));
+
+  if (destinations.length === 0) {
+    return places;
+  }
+
+  const times = await withCache(
+    'travelTimes',
+    {
+      origin: center,
+      mode,
+      placeIds: destinations.map(destination => destination.id).sort()
+    },
+    async () => {
+      await assertWithinBudget();
+      return computeTravelTimes({ origin: center, destinations, travelMode: TRAVEL_MODES[mode], apiKey, baseUrl: CONFIG.ROUTES_API_BASE });
+    },
+    { bypass: bypassCache }
+  );
+
+  return places.map(place =>
+    place.id in times.value ? { ...place, travelSeconds: times.value[place.id] } : place
+  );
+}
+
+/**
+ * Resolve a location to coordinates
+ * @param {object} location - {lat, lng}, {placeId, query, sessionToken} or {query: string}
+ * @returns {Promise<object>} - {lat, lng}
+ */
+async function resolveLocation(location, { apiKey, locale, bypassCache }) {
+  // Resolve location from a selected suggestion's place ID, or a query string
+  if (location.placeId) {
+    const details = await withCache(
+      'placeLocation',
+      { placeId: location.placeId },
+      async () => {
+        await assertWithinBudget();
+        return getPlaceDetails(location.placeId, apiKey, { sessionToken: location.sessionToken });
+      },
+      { bypass: bypassCache }
+    );
+    return details.value;
   }
 
-  // Resolve location if it's a query string
-  let coordinates;
   if (location.query) {
-    coordinates = await geocodeLocation(location.query, apiKey);
-  } else {
-    coordinates = location;
+    const geocoded = await withCache(
+      'geocode',
+      { query: location.query, region: locale.regionCode },
+      async () => {
+        await assertWithinBudget();
+        return geocodeLocation(location.query, apiKey, locale);
+      },
+      { bypass: bypassCache }
+    );
+    return geocoded.value;
   }
 
-  // Search for places based on mode
-  let places;
-  if (searchMode === 'category') {
-    places = await searchByCategory({
-      category: searchQuery,
+  return location;
+}
+
+/**
+ * Resolve a route to an encoded polyline, its length and its origin
+ * A pasted polyline is used as is; otherwise a driving route is requested
+ * between the origin and destination.
+ * @param {object} route - { origin, destination, polyline }
+ * @returns {Promise<object>} - { polyline, distanceMeters, origin: {lat, lng} }
+ */
+async function resolveRoute({ origin, destination, polyline }, { apiKey, locale, bypassCache }) {
+  if (polyline) {
+    const points = decodePolyline(polyline.trim());
+    if (points.length < 2) {
+      throw new Error(t('errorInvalidPolyline'));
+    }
+    return { polyline: polyline.trim(), distanceMeters: pathLength(points), origin: points[0] };
+  }
+
+  const from = await resolveLocation(origin, { apiKey, locale, bypassCache });
+  const to = await resolveLocation(destination, { apiKey, locale, bypassCache });
+  const endpoints = {
+    origin: { lat: from.lat, lng: from.lng },
+    destination: { lat: to.lat, lng: to.lng }
+  };
+
+  const computed = await withCache(
+    'route',
+    endpoints,
+    async () => {
+      await assertWithinBudget();
+      return computeRoute({ ...endpoints, apiKey, baseUrl: CONFIG.ROUTES_API_BASE });
+    },
+    { bypass: bypassCache }
+  );
+
+  return { ...computed.value, origin: endpoints.origin };
+}
+
+/**
+ * Run the same search around several locations and summarize each area
+ * Areas run one at a time; a failed area reports its error without stopping the rest.
+ * @param {object} params - handleSearch parameters, with areas instead of location
+ * @param {Array} params.areas - [{ label, location }]
+ * @returns {Promise<object>} - { areas: [{ label, count, priorMean, medianScore, best, histogram } | { label, error }], histogramEdges }
+ */
+async function handleCompareAreas({ areas, ...search }) {
+  if (!Array.isArray(areas) || areas.length < 2) {
+    throw new Error(t('errorCompareTooFew'));
+  }
+  if (areas.length > CONFIG.COMPARE.MAX_AREAS) {
+    throw new Error(t('errorCompareTooMany', CONFIG.COMPARE.MAX_AREAS));
+  }
+
+  const summaries = [];
+  for (const area of areas) {
+    try {
+      const { results, places } = await handleSearch({ ...search, location: area.location });
+      const scored = calculateScores(places, search.algorithm, search.scoringParams);
+      summaries.push({ label: area.label, ...summarizeArea(places, scored, results) });
+    } catch (error) {
+      summaries.push({ label: area.label, error: error.message });
+    }
+  }
+
+  // Shared bins across areas so the histograms can be read side by side
+  const succeeded = summaries.filter(summary => !summary.error);
+  const { edges, counts } = buildHistograms(succeeded.map(summary => summary.scores));
+  let histogramIndex = 0;
+
+  return {
+    histogramEdges: edges,
+    areas: summaries.map(({ scores, ...summary }) => ({
+      ...summary,
+      histogram: summary.error ? null : counts[histogramIndex++]
+    }))
+  };
+}
+
+/**
+ * Fetch raw places from the Places API for the given search mode
+ * Cached responses skip this, so they stay available after the budget is spent.
+ */
+async function fetchPlaces({ searchQuery, searchMode, types, coordinates, radius, route, useTiling, callBudget, filters, apiKey, locale }) {
+  await assertWithinBudget();
+
+  // Only Text Search can follow a route, and it takes a single place type per query
+  if (route) {
+    return searchAlongRoute({
+      queries: searchMode === 'category'
+        ? types.includedTypes.map(type => ({ query: getPlaceTypeLabel(type), includedType: type }))
+        : [{ query: searchQuery }],
+      excludedTypes: types?.excludedTypes,
+      excludedPrimaryTypes: types?.excludedPrimaryTypes,
+      polyline: route.polyline,
+      origin: route.origin,
+      routeDistanceMeters: route.distanceMeters,
+      apiKey,
+      filters,
+      locale
+    });
+  }
+
+  if (useTiling) {
+    return searchByCategoryTiled({
+      ...types,
       location: coordinates,
       radius,
-      apiKey
+      apiKey,
+      maxApiCalls: callBudget,
+      locale
     });
-  } else {
-    places = await searchByText({
-      query: searchQuery,
+  }
+
+  if (searchMode === 'category') {
+    return searchByCategory({
+      ...types,
       location: coordinates,
       radius,
-      apiKey
+      apiKey,
+      locale
     });
   }
 
-  if (!places || places.length === 0) {
-    return [];
+  return searchByText({
+    query: searchQuery,
+    location: coordinates,
+    radius,
+    apiKey,
+    filters,
+    locale
+  });
+}
+
+/**
+ * Re-run every watch whose interval has elapsed and notify about changes
+ * Watches run one at a time so a spent budget stops the rest cleanly.
+ */
+async function refreshDueWatches() {
+  const due = getDueWatches(await listWatches());
+
+  for (const watch of due) {
+    try {
+      const { results, places } = await handleSearch(watch.request);
+      const changes = detectWatchChanges(watch, results, places);
+      notifyWatchChanges(watch, changes, getFormatter((await getPlacesLocale()).tag));
+      await recordWatchCheck(watch.id, { snapshot: changes.snapshot });
+    } catch (error) {
+      console.error('Watch refresh failed:', error);
+      await recordWatchCheck(watch.id, { lastError: error.message });
+    }
   }
+}
 
-  // Calculate scores using selected algorithm
-  const scoredPlaces = calculateScores(places, algorithm);
+/**
+ * Show one notification per watch listing new top places and rating drops
+ */
+function notifyWatchChanges(watch, { entered, ratingDrops }, format) {
+  const items = [
+    ...entered.map(place => ({ title: place.name, message: t('notifyEnteredTop', [watch.topN, place.rank]) })),
+    ...ratingDrops.map(place => ({ title: place.name, message: t('notifyRatingFell', [format.decimal(place.from, 1), format.decimal(place.to, 1)]) }))
+  ];
+  if (items.length === 0) return;
 
-  // Return top N results
-  return scoredPlaces.slice(0, CONFIG.TOP_RESULTS_TO_SHOW).map(place => ({
-    placeId: place.id,
-    name: place.displayName?.text || 'Unknown',
-    rating: place.rating || 0,
-    reviewCount: place.userRatingCount || 0,
-    bayesianScore: place.bayesianScore,
-    address: place.formattedAddress || place.shortFormattedAddress || '',
-    distanceKm: place.distanceMeters ? (place.distanceMeters / 1000).toFixed(1) : null
-  }));
+  const { searchQuery, searchMode, includedTypes, location } = watch.searchParams;
+  const label = searchMode === 'category'
+    ? (includedTypes?.length > 0 ? includedTypes : [searchQuery]).map(getPlaceTypeLabel).join(' + ')
+    : `"${searchQuery}"`;
+  const firstPlaceId = (entered[0] || ratingDrops[0]).placeId;
+
+  chrome.notifications.create(`${WATCH_NOTIFICATION_PREFIX}${watch.id}:${firstPlaceId}`, {
+    type: 'list',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: t('notifyTitle', [label, location]),
+    message: format.count('notifyChanges', items.length),
+    items
+  });
 }
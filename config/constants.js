@@ -3,17 +3,140 @@
 export const CONFIG = {
   // API Configuration
   PLACES_API_BASE: 'https://places.googleapis.com/v1',
+  // Passed to computeTravelTimes and computeRoute, which take any base URL, so
+  // tests/travel-times.test.js runs them against a local stub. To point the
+  // extension itself at a stand-in, also add its origin to host_permissions and
+  // the connect-src of content_security_policy in manifest.json, which otherwise
+  // block it; keep those edits out of release builds.
+  ROUTES_API_BASE: 'https://routes.googleapis.com',
 
   // Search defaults
   DEFAULT_RADIUS_KM: 5,
   MAX_RADIUS_KM: 50,
+  // Radius slider steps per unit system (the maximum follows MAX_RADIUS_KM)
+  RADIUS_SLIDER: {
+    metric: { MIN: 1, STEP: 1 },
+    imperial: { MIN: 0.5, STEP: 0.5 }
+  },
   MAX_RESULTS_FROM_API: 20,
   TOP_RESULTS_TO_SHOW: 10,
+  MAX_SEARCH_TYPES: 10,  // Included or excluded types per category search
+  PLACE_DETAILS_REVIEWS: 3,   // Recent reviews shown in an expanded result card
+
+  // Text Search pagination (the API returns at most 20 places per page)
+  TEXT_SEARCH: {
+    MAX_RESULTS: 60,  // Stop collecting once this many unique places are found
+    MAX_PAGES: 3      // Hard limit on page requests per search
+  },
+
+  // Adaptive Nearby Search tiling (full tiles are split into 7 sub-circles)
+  TILING: {
+    MAX_API_CALLS: 15,       // Default request budget per search (1 + 7 + 7)
+    MAX_API_CALLS_LIMIT: 50, // Upper bound the popup allows
+    MIN_TILE_RADIUS_M: 250   // Don't subdivide below this radius
+  },
+
+  // Response cache for Places API calls
+  CACHE: {
+    // Entries kept per endpoint; the least recently used are evicted, so lookups
+    // by place ID and address aren't pushed out by large search responses
+    MAX_ENTRIES: {
+      search: 50,
+      searchOpenNow: 20,
+      geocode: 100,
+      placeLocation: 100,
+      placeDetails: 100,
+      travelTimes: 30,
+      route: 30
+    },
+    // Total serialized size of all entries, well inside chrome.storage.local's
+    // 10 MB so favorites, usage and history always have room
+    MAX_BYTES: 3.5 * 1024 * 1024,
+    TTL_MS: {
+      search: 6 * 60 * 60 * 1000,             // 6 hours - ratings change slowly
+      searchOpenNow: 10 * 60 * 1000,          // 10 minutes - opening status changes
+      geocode: 30 * 24 * 60 * 60 * 1000,      // 30 days - addresses rarely move
+      placeLocation: 30 * 24 * 60 * 60 * 1000, // 30 days - coordinates by place ID
+      placeDetails: 7 * 24 * 60 * 60 * 1000,    // 7 days - contact info, hours and reviews
+      travelTimes: 60 * 60 * 1000,              // 1 hour - traffic and timetables vary through the day
+      route: 24 * 60 * 60 * 1000                // 1 day - driving routes between two points
+    },
+    COORDINATE_PRECISION: 4                   // ~11m, so GPS jitter still hits the cache
+  },
+
+  // Estimated Places API list prices in USD per 1000 requests, by SKU and
+  // field-mask tier (before Google's free monthly usage)
+  PRICING: {
+    searchNearby: { pro: 32, enterprise: 35, enterpriseAtmosphere: 40 },
+    searchText: { idsOnly: 0, pro: 32, enterprise: 35, enterpriseAtmosphere: 40 },
+    autocomplete: { requests: 2.83 },
+    autocompleteSession: { requests: 0 },  // Requests of a session that ended in Place Details are free
+    placeDetails: { idsOnly: 0, essentials: 5, pro: 17, enterprise: 20, enterpriseAtmosphere: 25 },
+    routeMatrix: { essentials: 5 },  // Per 1000 elements (origin-destination pairs)
+    computeRoutes: { essentials: 5 }
+  },
+  USAGE_HISTORY_DAYS: 62,  // Daily counters older than this are pruned
+  AUTOCOMPLETE_SESSION_HOURS: 24,  // Open autocomplete sessions are forgotten after this
+
+  SEARCH_HISTORY_MAX_ENTRIES: 20,  // Oldest searches are dropped beyond this
+
+  // Saved-search watches refreshed in the background
+  WATCH: {
+    ALARM_PERIOD_MINUTES: 30,  // How often the service worker looks for due watches
+    DEFAULT_INTERVAL_HOURS: 12,
+    DEFAULT_MIN_RATING: 4.0,   // Alert when a tracked place falls below this
+    MAX_WATCHES: 10
+  },
+
+  // Per-place rating history
+  TRENDS: {
+    MIN_INTERVAL_HOURS: 20,     // Observations closer than this replace the previous point
+    THIN_AFTER_DAYS: 30,        // Older points are thinned out...
+    THINNED_INTERVAL_DAYS: 7,   // ...to one per this many days
+    WINDOW_DAYS: 90,            // Span summarized on result cards; older points are dropped
+    // A place searched daily needs about 36 points for the last 30 days and 9
+    // for the weeks before, so 1000 places keep the history to about 1.3 MB
+    // of chrome.storage.local's 10 MB
+    MAX_POINTS_PER_PLACE: 48,
+    MAX_PLACES: 1000            // Least recently observed places are dropped beyond this
+  },
+
+  // Category type-ahead picker
+  TYPE_PICKER: {
+    MAX_SUGGESTIONS: 30,  // Matches listed while typing
+    MAX_RECENT: 8,
+    MAX_PINNED: 12
+  },
+
+  // Travel-time ranking with the Routes API route matrix
+  TRAVEL_TIME: {
+    MAX_DESTINATIONS: 25,     // Top-scored candidates timed per search
+    MAX_MINUTES_LIMIT: 240,
+    BLEND_WEIGHT: 0.5         // Share of the score lost at the maximum travel time
+  },
+
+  // Side-by-side area comparison
+  COMPARE: {
+    MAX_AREAS: 4,
+    HISTOGRAM_BINS: 6
+  },
 
   // Bayesian scoring parameters
   BAYESIAN: {
     CONFIDENCE_THRESHOLD: 20,  // Reviews needed for 50% weight
     DEFAULT_PRIOR_MEAN: 3.7,   // Fallback if can't calculate
     MIN_REVIEWS: 1             // Minimum reviews to include
+  },
+
+  // Distance decay defaults (blending quality with proximity)
+  DISTANCE: {
+    HALF_DISTANCE_KM: 3,       // Distance at which proximity counts half
+    HALF_TRAVEL_MINUTES: 10,   // Travel time at which proximity counts half
+    WEIGHT: 0.5                // Share of the score that depends on proximity
+  },
+
+  // Popularity scoring parameters
+  POPULARITY: {
+    WEIGHT: 0.3                // How much to favor review count
   }
 };
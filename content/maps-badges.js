@@ -0,0 +1,125 @@
+// Score badges on the Google Maps results panel
+//
+// Watches the page for the results list, sends the places it shows to the
+// service worker for scoring with the popup's algorithm and parameters, and
+// puts a rank and score badge on each entry. The list is replaced on each new
+// search and grows as it's scrolled, so the page is only watched for a new
+// list while the list itself is watched for entries; places are only
+// re-scored when the set of places (or their ratings) changes.
+
+import { findResultsFeed, parsePlaceEntries } from './maps-parser.js';
+import { sendMessage, MessageTypes } from '../utils/messaging.js';
+
+const BADGE_CLASS = 'mtf-badge';
+const SCORED_CLASS = 'mtf-scored';
+
+let feed = null;
+let scoredKey = '';
+let scores = new Map(); // Place key -> { rank, score, title }
+
+// Maps mutates the page constantly while loading, animating and scrolling, so
+// both checks wait for a pause but never longer than their maximum wait
+const scheduleFeedCheck = throttle(checkForFeed, 300, 1000);
+const scheduleUpdate = throttle(update, 500, 1500);
+const feedObserver = new MutationObserver(scheduleUpdate);
+
+/**
+ * Start watching the page for results
+ */
+export function start() {
+  new MutationObserver(scheduleFeedCheck).observe(document.body, { childList: true, subtree: true });
+  checkForFeed();
+}
+
+// Switch to a new results list (or to none) when a search replaces it
+function checkForFeed() {
+  const currentFeed = findResultsFeed(document);
+  if (currentFeed === feed) return;
+
+  feedObserver.disconnect();
+  feed = currentFeed;
+  scoredKey = '';
+  scores = new Map();
+
+  if (feed) {
+    feedObserver.observe(feed, { childList: true, subtree: true });
+    update();
+  }
+}
+
+/**
+ * Delay calls until they pause for `wait` ms, running at least every `maxWait` ms
+ * @param {Function} fn
+ * @param {number} wait
+ * @param {number} maxWait
+ * @returns {Function}
+ */
+function throttle(fn, wait, maxWait) {
+  let timeout = null;
+  let firstCallAt = 0;
+
+  return () => {
+    const now = Date.now();
+    if (!timeout) {
+      firstCallAt = now;
+    }
+    clearTimeout(timeout);
+    timeout = setTimeout(() => {
+      timeout = null;
+      fn();
+    }, Math.max(0, Math.min(wait, firstCallAt + maxWait - now)));
+  };
+}
+
+async function update() {
+  if (!feed) return;
+
+  const entries = parsePlaceEntries(feed);
+  const key = entries.map(entry => `${entry.id}:${entry.rating}:${entry.reviewCount}`).join('|');
+
+  if (key !== scoredKey && entries.length > 0) {
+    scoredKey = key;
+    try {
+      const response = await sendMessage(MessageTypes.SCORE_MAPS_PLACES, {
+        places: entries.map(({ id, name, rating, reviewCount }) => ({ id, name, rating, reviewCount }))
+      });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+      // A newer list may have replaced this one while scoring
+      if (scoredKey !== key) return;
+      scores = new Map(response.data.map(result => [result.id, result]));
+    } catch (error) {
+      console.error('Maps badge scoring failed:', error);
+      return;
+    }
+  }
+
+  entries.forEach(renderBadge);
+}
+
+// Add, update or remove one entry's badge
+function renderBadge(entry) {
+  const result = scores.get(entry.id);
+  let badge = entry.element.querySelector(`.${BADGE_CLASS}`);
+
+  if (!result) {
+    badge?.remove();
+    return;
+  }
+
+  if (!badge) {
+    badge = document.createElement('span');
+    entry.element.classList.add(SCORED_CLASS);
+    entry.element.appendChild(badge);
+  }
+
+  const text = `#${result.rank} · ${result.score}`;
+  const className = `${BADGE_CLASS} ${BADGE_CLASS}-rank-${Math.min(result.rank, 4)}`;
+  // Skip unchanged badges, so writing them doesn't trigger another update
+  if (badge.textContent !== text || badge.className !== className || badge.title !== result.title) {
+    badge.textContent = text;
+    badge.className = className;
+    badge.title = result.title;
+  }
+}
@@ -0,0 +1,6 @@
+// Content script entry point for google.com/maps
+// Content scripts can't be modules, so load the badge module from the extension.
+
+import(chrome.runtime.getURL('content/maps-badges.js'))
+  .then(({ start }) => start())
+  .catch(error => console.error('Failed to load Maps badges:', error));
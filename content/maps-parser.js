@@ -0,0 +1,102 @@
+// Read place entries from the Google Maps results panel
+//
+// Plain DOM functions with no chrome.* calls, so they work the same on the
+// live page and on saved Maps HTML. Maps' class names are generated and change
+// between releases; these rely on roles, aria-labels and place URLs instead.
+
+const FEED_SELECTOR = '[role="feed"]';
+const PLACE_LINK_SELECTOR = 'a[href*="/maps/place/"]';
+const RATING_PATTERN = /(\d)[.,](\d)/;
+// A review count, optionally abbreviated to thousands ("1.2K", "1,2 mil")
+const COUNT_PATTERN = /(\d[\d.,\s]*)(k\b|mil\b)?/i;
+
+/**
+ * Find the scrolling list of search results
+ * @param {Document|Element} root
+ * @returns {Element|null}
+ */
+export function findResultsFeed(root) {
+  return root.querySelector(FEED_SELECTOR);
+}
+
+/**
+ * Parse every place entry in the results list, in page order
+ * @param {Element} feed - From findResultsFeed
+ * @returns {Array} - [{ id, name, rating, reviewCount, element }], one per place
+ */
+export function parsePlaceEntries(feed) {
+  const seen = new Set();
+
+  return [...feed.querySelectorAll(PLACE_LINK_SELECTOR)]
+    .map(parsePlaceEntry)
+    .filter(entry => {
+      if (!entry || seen.has(entry.id)) return false;
+      seen.add(entry.id);
+      return true;
+    });
+}
+
+/**
+ * Parse one result entry from its place link
+ * @param {Element} link - The entry's /maps/place/ anchor
+ * @returns {object|null} - { id, name, rating, reviewCount, element }, null if it isn't a place
+ */
+export function parsePlaceEntry(link) {
+  const name = link.getAttribute('aria-label')?.trim();
+  const id = parsePlaceKey(link.getAttribute('href') || '');
+  if (!name || !id) return null;
+
+  const element = link.parentElement;
+  const { rating, reviewCount } = parseRatingLabel(findRatingLabel(element));
+
+  return { id, name, rating, reviewCount, element };
+}
+
+/**
+ * Stable key for a place from its Maps URL
+ * Prefers the Places API place ID (!19s), falling back to Maps' feature ID (!1s).
+ * @param {string} href
+ * @returns {string|null}
+ */
+export function parsePlaceKey(href) {
+  const placeId = href.match(/!19s(ChIJ[\w-]+)/);
+  if (placeId) return placeId[1];
+
+  const featureId = href.match(/!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i);
+  return featureId ? featureId[1].toLowerCase() : null;
+}
+
+/**
+ * Read a rating and review count from a star label such as "4.6 stars 2,134 Reviews"
+ * Handles either decimal separator ("4,6 estrellas 2.134 reseñas") and counts
+ * abbreviated to thousands ("1.2K Reviews", "1,2 mil reseñas").
+ * @param {string} label
+ * @returns {object} - { rating, reviewCount }, zeros when the place has no rating
+ */
+export function parseRatingLabel(label) {
+  const ratingMatch = label.match(RATING_PATTERN);
+  if (!ratingMatch) {
+    return { rating: 0, reviewCount: 0 };
+  }
+
+  const rest = label.slice(ratingMatch.index + ratingMatch[0].length);
+  const countMatch = rest.match(COUNT_PATTERN);
+  let reviewCount = 0;
+  if (countMatch) {
+    reviewCount = countMatch[2]
+      ? Math.round(parseFloat(countMatch[1].trim().replace(',', '.')) * 1000)
+      : parseInt(countMatch[1].replace(/\D/g, ''), 10);
+  }
+
+  return {
+    rating: Number(`${ratingMatch[1]}.${ratingMatch[2]}`),
+    reviewCount: reviewCount || 0
+  };
+}
+
+// The entry's star rating, e.g. <span role="img" aria-label="4.6 stars 2,134 Reviews">
+function findRatingLabel(element) {
+  const image = [...element.querySelectorAll('[role="img"][aria-label]')]
+    .find(node => RATING_PATTERN.test(node.getAttribute('aria-label')));
+  return image ? image.getAttribute('aria-label') : '';
+}
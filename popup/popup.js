@@ -1,6 +1,20 @@
 // Popup UI logic
 import { sendMessage, MessageTypes } from '../utils/messaging.js';
-import { getStoredApiKey, saveApiKey, getPreferences, savePreferences, saveLastResults, getLastResults, getIPLocationConsent, saveIPLocationConsent } from '../utils/storage.js';
+import { getStoredApiKey, saveApiKey, getPreferences, savePreferences, saveLastResults, getLastResults, getIPLocationConsent, saveIPLocationConsent, saveUsageBudget, getLocaleSettings, saveLocaleSettings } from '../utils/storage.js';
+import { getUsageSummary, getSkuLabel } from '../utils/usage.js';
+import { listAlgorithms, getAlgorithm, SHARED_PARAMS } from '../utils/bayesian.js';
+import { rankPlaces } from '../utils/ranking.js';
+import { EXPORT_FORMATS, buildExport } from '../utils/export.js';
+import { listFavorites, getFavoriteIds, addFavorite, updateFavorite, removeFavorite, parseTags, collectTags, filterFavorites } from '../utils/favorites.js';
+import { addHistoryEntry, listHistory, getHistoryEntry, removeHistoryEntry, diffRankings } from '../utils/history.js';
+import { addWatch, listWatches, removeWatch } from '../utils/watches.js';
+import { getTrends, summarizeTrend, sparklinePoints } from '../utils/trends.js';
+import { PLACE_TYPES, PLACE_TYPE_SECTIONS, isPlaceType, getPlaceTypeLabel, searchPlaceTypes, getTypePicks, recordRecentTypes, togglePinnedType } from '../utils/place-types.js';
+import { t, localizePage, getPlacesLocale, getFormatter } from '../utils/i18n.js';
+import { getUnits, toKm, getRadiusRange, snapRadius } from '../utils/units.js';
+import { normalizeTravel } from '../utils/travel.js';
+import { projectMiniMap } from '../utils/minimap.js';
+import { CONFIG } from '../config/constants.js';
 
 // DOM Elements
 const $ = (id) => document.getElementById(id);
@@ -9,64 +23,219 @@ const elements = {
   apiKeySection: $('api-key-section'),
   apiKeyInput: $('api-key-input'),
   saveApiKeyBtn: $('save-api-key'),
+  // Usage
+  usageSection: $('usage-section'),
+  usageMonthCost: $('usage-month-cost'),
+  usageMonthCalls: $('usage-month-calls'),
+  usageTodayCost: $('usage-today-cost'),
+  usageTodayCalls: $('usage-today-calls'),
+  usageBreakdown: $('usage-breakdown'),
+  budgetInput: $('budget-input'),
+  saveBudgetBtn: $('save-budget'),
+  // Language and region
+  localeSection: $('locale-section'),
+  localeLanguage: $('locale-language'),
+  localeRegion: $('locale-region'),
+  localeUnits: $('locale-units'),
+  saveLocaleBtn: $('save-locale'),
+  // Scoring
+  scoringSection: $('scoring-section'),
+  scoringParams: $('scoring-params'),
+  resetScoringBtn: $('reset-scoring'),
   searchSection: $('search-section'),
   // Search mode
   searchByCategory: $('search-by-category'),
   searchByText: $('search-by-text'),
   categoryGroup: $('category-group'),
-  categorySelect: $('category-select'),
+  categoryInput: $('category-input'),
+  categoryDropdown: $('category-dropdown'),
+  includeType: $('include-type'),
+  excludeType: $('exclude-type'),
+  includedTypes: $('included-types'),
+  excludedTypes: $('excluded-types'),
+  excludePrimaryGroup: $('exclude-primary-group'),
+  excludePrimaryOnly: $('exclude-primary-only'),
+  tilingGroup: $('tiling-group'),
+  tilingToggle: $('tiling-toggle'),
+  tilingBudget: $('tiling-budget'),
+  maxApiCalls: $('max-api-calls'),
   textSearchGroup: $('text-search-group'),
   businessType: $('business-type'),
   // Location
   useCurrentLocation: $('use-current-location'),
   useCustomLocation: $('use-custom-location'),
   customLocationGroup: $('custom-location-group'),
+  useRoute: $('use-route'),
+  routeGroup: $('route-group'),
+  routeOrigin: $('route-origin'),
+  routeDestination: $('route-destination'),
+  routePolyline: $('route-polyline'),
+  radiusGroup: $('radius-group'),
   customLocation: $('custom-location'),
   autocompleteDropdown: $('autocomplete-dropdown'),
+  // Filters
+  filterOpenNow: $('filter-open-now'),
+  filterPrice: $('filter-price'),
+  filterRating: $('filter-rating'),
+  filterMinReviews: $('filter-min-reviews'),
+  travelMode: $('travel-mode'),
+  travelMaxMinutes: $('travel-max-minutes'),
+  travelUse: $('travel-use'),
   // Algorithm
-  algoBayesian: $('algo-bayesian'),
-  algoPopularity: $('algo-popularity'),
+  algorithmToggle: $('algorithm-toggle'),
+  algorithmDescription: $('algorithm-description'),
   // Other
+  bypassCache: $('bypass-cache'),
   radiusSlider: $('radius-slider'),
   radiusValue: $('radius-value'),
   searchBtn: $('search-btn'),
+  // Compare
+  compareBtn: $('compare-btn'),
+  compareSection: $('compare-section'),
+  compareBack: $('compare-back'),
+  compareSummary: $('compare-summary'),
+  compareAreas: $('compare-areas'),
+  compareAddArea: $('compare-add-area'),
+  compareRun: $('compare-run'),
+  compareResults: $('compare-results'),
   loadingSection: $('loading-section'),
   resultsSection: $('results-section'),
   resultsContainer: $('results-container'),
+  watchToggle: $('watch-toggle'),
+  watchForm: $('watch-form'),
+  watchTopN: $('watch-top-n'),
+  watchMinRating: $('watch-min-rating'),
+  watchInterval: $('watch-interval'),
+  watchMessage: $('watch-message'),
+  watchSave: $('watch-save'),
+  exportToggle: $('export-toggle'),
+  exportOptions: $('export-options'),
   newSearchBtn: $('new-search-btn'),
+  // Favorites
+  favoritesToggle: $('favorites-toggle'),
+  favoritesSection: $('favorites-section'),
+  favoritesBack: $('favorites-back'),
+  favoritesSearch: $('favorites-search'),
+  favoritesTag: $('favorites-tag'),
+  favoritesVisited: $('favorites-visited'),
+  favoritesContainer: $('favorites-container'),
+  // History
+  historyToggle: $('history-toggle'),
+  historySection: $('history-section'),
+  historyBack: $('history-back'),
+  historyContainer: $('history-container'),
+  watchesContainer: $('watches-container'),
   errorSection: $('error-section'),
   errorMessage: $('error-message'),
   retryBtn: $('retry-btn'),
-  settingsToggle: $('settings-toggle')
+  settingsToggle: $('settings-toggle'),
+  openPanel: $('open-panel')
 };
 
 // Autocomplete state
 let autocompleteTimeout = null;
 let selectedAutocompleteIndex = -1;
+let autocompleteSessionToken = null; // Shared by keystrokes and the final details lookup
+let selectedPlace = null;            // { placeId, fullText } of the chosen suggestion
+
+// Category picker state
+let selectedTypeIndex = -1;
 
 // State
 let state = {
   useCurrentLocation: true,
+  useRoute: false,        // Search along a route instead of around one location
   searchByCategory: true,
-  algorithm: 'bayesian', // 'bayesian' or 'popularity'
+  algorithm: 'bayesian', // Id from the scoring algorithm registry
+  scoringParams: {},      // Shared params at the top level, plus { [algorithmId]: { paramKey: value } }
+  currentSearch: null,    // { request, places, results, searchParams, meta } of the results on screen
+  favoriteIds: new Set(), // Place IDs saved to favorites, for the star buttons
+  selectedType: 'restaurant', // Category chosen in the type picker
+  typePicks: { recent: [], pinned: [] },
+  includedTypes: [],      // Category types searched together (empty = the selected category)
+  excludedTypes: [],      // Category types left out of category searches
+  typeFilter: null,       // Primary type chip selected in the results view
+  locale: null,           // { languageCode, regionCode, tag } sent with Places requests
+  units: 'metric',        // Distance units; the radius slider is in these units
   hasApiKey: false
 };
 
+// Number, distance and date formatting for state.locale
+let formatter = getFormatter();
+
+let saveScoringTimeout = null;
+
+// Place details already loaded this session, keyed by place ID
+const placeDetailsCache = new Map();
+
+// The same page runs as the popup and as the side panel (popup.html?view=panel)
+const isPanel = new URLSearchParams(window.location.search).get('view') === 'panel';
+// The wide side panel keeps the search form docked beside the other sections
+const dockedLayout = window.matchMedia('(min-width: 720px)');
+let currentSection = 'search';
+// Result shown beside the results table in the wide side panel
+let selectedPlaceId = null;
+let currentWindowId = null; // For chrome.sidePanel.open, which must run straight from the click
+
+// Identifies this view in shared session updates, so it can skip its own
+const viewId = crypto.randomUUID();
+let pendingSessionChanges = {};
+let shareSessionTimeout = null;
+
 // Initialize popup
 async function init() {
+  document.body.classList.toggle('panel-view', isPanel);
+  elements.openPanel.classList.toggle('hidden', isPanel || !chrome.sidePanel);
+  chrome.windows.getCurrent().then(win => { currentWindowId = win.id; });
+
+  localizePage();
+  await applyLocale();
+
   const apiKey = await getStoredApiKey();
   state.hasApiKey = !!apiKey;
 
+  renderAlgorithmPicker();
+  state.favoriteIds = await getFavoriteIds();
+  state.typePicks = await getTypePicks();
+  selectType(state.selectedType);
+
   if (!state.hasApiKey) {
     showSection('api-key');
   } else {
     await loadPreferences();
 
+    // Pick up where the other view (popup or side panel) left off
+    const session = await getSharedSession();
+    if (session?.draft) {
+      applyFormPreferences(session.draft);
+    }
+    if (session?.scoringParams) {
+      state.scoringParams = session.scoringParams;
+    }
+
     // Check for cached results
     const lastResults = await getLastResults();
-    if (lastResults && lastResults.results && lastResults.results.length > 0) {
+    if (session?.search?.results?.length > 0) {
+      const { results, searchParams, meta } = session.search;
+      state.currentSearch = session.search;
+      displayResults(results, searchParams, meta);
+    } else if (lastResults && lastResults.results && lastResults.results.length > 0) {
       // Show cached results
-      displayResults(lastResults.results, lastResults.searchParams);
+      const meta = {
+        candidateCount: lastResults.candidateCount,
+        matchCount: lastResults.matchCount,
+        fromCache: lastResults.fromCache,
+        cachedAt: lastResults.cachedAt,
+        travelError: lastResults.travelError
+      };
+      state.currentSearch = {
+        request: lastResults.request || null,
+        places: lastResults.places || null,
+        results: lastResults.results,
+        searchParams: lastResults.searchParams,
+        meta
+      };
+      displayResults(lastResults.results, lastResults.searchParams, meta);
     } else {
       showSection('search');
     }
@@ -77,6 +246,22 @@ async function init() {
 
 // Setup event listeners
 function setupEventListeners() {
+  // Side panel
+  elements.openPanel.addEventListener('click', openSidePanel);
+  dockedLayout.addEventListener('change', () => showSection(currentSection));
+
+  // Share the search form with the other view as it changes
+  ['input', 'change', 'click'].forEach(type => {
+    elements.searchSection.addEventListener(type, () => {
+      shareSession({ draft: getFormPreferences() }, { debounce: true });
+    });
+  });
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === MessageTypes.SESSION_CHANGED && message.payload.viewId !== viewId) {
+      applySessionChanges(message.payload.changes);
+    }
+  });
+
   // API Key
   elements.saveApiKeyBtn.addEventListener('click', handleSaveApiKey);
   elements.apiKeyInput.addEventListener('keypress', (e) => {
@@ -87,18 +272,51 @@ function setupEventListeners() {
   elements.searchByCategory.addEventListener('click', () => toggleSearchMode(true));
   elements.searchByText.addEventListener('click', () => toggleSearchMode(false));
 
+  // Category type picker
+  elements.categoryInput.addEventListener('focus', () => {
+    elements.categoryInput.select();
+    showTypeSuggestions('');
+  });
+  elements.categoryInput.addEventListener('input', () => showTypeSuggestions(elements.categoryInput.value));
+  elements.categoryInput.addEventListener('keydown', handleTypePickerKeydown);
+  elements.categoryInput.addEventListener('blur', hideTypeSuggestions);
+  elements.categoryDropdown.addEventListener('mousedown', (e) => {
+    e.preventDefault(); // Prevent blur
+    const pin = e.target.closest('[data-pin-type]');
+    const option = e.target.closest('[data-type]');
+    if (pin) {
+      handlePinType(pin.dataset.pinType);
+    } else if (option) {
+      selectType(option.dataset.type);
+    }
+  });
+
+  // Included and excluded category types
+  elements.includeType.addEventListener('click', () => addSearchType('included'));
+  elements.excludeType.addEventListener('click', () => addSearchType('excluded'));
+  [elements.includedTypes, elements.excludedTypes].forEach(container => {
+    container.addEventListener('click', (e) => {
+      const chip = e.target.closest('[data-type]');
+      if (chip) removeSearchType(chip.dataset.list, chip.dataset.type);
+    });
+  });
+
+  // Adaptive tiling toggle
+  elements.tilingToggle.addEventListener('change', (e) => toggleTiling(e.target.checked));
+
   // Location toggle
   elements.useCurrentLocation.addEventListener('click', () => toggleLocation(true));
   elements.useCustomLocation.addEventListener('click', () => toggleLocation(false));
+  elements.useRoute.addEventListener('click', toggleRoute);
 
   // Algorithm toggle
-  elements.algoBayesian.addEventListener('click', () => toggleAlgorithm('bayesian'));
-  elements.algoPopularity.addEventListener('click', () => toggleAlgorithm('popularity'));
+  elements.algorithmToggle.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-algorithm]');
+    if (button) toggleAlgorithm(button.dataset.algorithm);
+  });
 
   // Radius slider
-  elements.radiusSlider.addEventListener('input', (e) => {
-    elements.radiusValue.textContent = e.target.value;
-  });
+  elements.radiusSlider.addEventListener('input', updateRadiusLabel);
 
   // Search
   elements.searchBtn.addEventListener('click', handleSearch);
@@ -106,6 +324,88 @@ function setupEventListeners() {
     if (e.key === 'Enter') handleSearch();
   });
 
+  // Compare areas
+  elements.compareBtn.addEventListener('click', openCompare);
+  elements.compareBack.addEventListener('click', () => showSection('search'));
+  elements.compareAddArea.addEventListener('click', () => addCompareArea());
+  elements.compareRun.addEventListener('click', handleCompare);
+  elements.compareAreas.addEventListener('click', (e) => {
+    const remove = e.target.closest('.compare-area-remove');
+    if (!remove) return;
+    remove.closest('.compare-area').remove();
+    updateCompareControls();
+  });
+
+  // Expandable result details, favorite stars and type chips
+  elements.resultsContainer.addEventListener('click', (e) => {
+    const chip = e.target.closest('.type-filter-chip');
+    if (chip) setTypeFilter(chip.dataset.type || null);
+
+    const toggle = e.target.closest('.result-details-toggle');
+    if (toggle) toggleResultDetails(toggle.closest('.result-card'));
+
+    const star = e.target.closest('.result-favorite');
+    if (star) toggleFavorite(star.closest('.result-card').dataset.placeId);
+
+    const row = e.target.closest('.results-row');
+    if (row) selectResult(row.dataset.placeId);
+
+    // Clicking a pin brings its card into view, or selects it beside the table
+    const pin = e.target.closest('.map-pin');
+    const pinCard = pin && elements.resultsContainer.querySelector(`.result-card[data-place-id="${CSS.escape(pin.dataset.placeId)}"]`);
+    if (pinCard?.offsetParent) {
+      pinCard.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    } else if (pinCard) {
+      selectResult(pin.dataset.placeId);
+    }
+  });
+
+  // Link mini-map pins and result cards on hover; only a click scrolls, so
+  // the map doesn't move out from under the cursor
+  elements.resultsContainer.addEventListener('mouseover', (e) => {
+    const pin = e.target.closest('.map-pin');
+    const card = e.target.closest('.result-card, .results-row');
+    highlightPlace((pin || card)?.dataset.placeId || null);
+  });
+  elements.resultsContainer.addEventListener('mouseleave', () => highlightPlace(null));
+
+  // Favorites
+  elements.favoritesToggle.addEventListener('click', toggleFavorites);
+  elements.favoritesBack.addEventListener('click', returnToResults);
+  elements.favoritesSearch.addEventListener('input', renderFavorites);
+  elements.favoritesTag.addEventListener('change', renderFavorites);
+  elements.favoritesVisited.addEventListener('change', renderFavorites);
+  elements.favoritesContainer.addEventListener('change', handleFavoriteEdit);
+  elements.favoritesContainer.addEventListener('click', (e) => {
+    const remove = e.target.closest('.favorite-remove');
+    if (remove) handleRemoveFavorite(remove.closest('.favorite-card').dataset.placeId);
+  });
+
+  // History
+  elements.historyToggle.addEventListener('click', toggleHistory);
+  elements.historyBack.addEventListener('click', returnToResults);
+  elements.historyContainer.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-history-action]');
+    if (button) handleHistoryAction(button.dataset.historyAction, button.closest('.history-entry').dataset.historyId);
+  });
+
+  // Watch
+  elements.watchToggle.addEventListener('click', toggleWatchForm);
+  elements.watchSave.addEventListener('click', handleSaveWatch);
+  elements.watchesContainer.addEventListener('click', async (e) => {
+    const remove = e.target.closest('.watch-remove');
+    if (!remove) return;
+    await removeWatch(remove.closest('.watch-entry').dataset.watchId);
+    renderWatches();
+  });
+
+  // Export
+  elements.exportToggle.addEventListener('click', toggleExportMenu);
+  elements.exportOptions.addEventListener('click', (e) => {
+    const option = e.target.closest('[data-format]');
+    if (option) exportResults(option.dataset.format);
+  });
+
   // New search
   elements.newSearchBtn.addEventListener('click', () => {
     showSection('search');
@@ -118,6 +418,10 @@ function setupEventListeners() {
 
   // Settings
   elements.settingsToggle.addEventListener('click', toggleSettings);
+  elements.saveBudgetBtn.addEventListener('click', handleSaveBudget);
+  elements.saveLocaleBtn.addEventListener('click', handleSaveLocale);
+  elements.scoringParams.addEventListener('input', handleScoringInput);
+  elements.resetScoringBtn.addEventListener('click', resetScoringParams);
 
   // Autocomplete
   elements.customLocation.addEventListener('input', handleAutocompleteInput);
@@ -141,31 +445,93 @@ function toggleSearchMode(byCategory) {
   elements.searchByText.classList.toggle('active', !byCategory);
   elements.categoryGroup.classList.toggle('hidden', !byCategory);
   elements.textSearchGroup.classList.toggle('hidden', byCategory);
+  elements.tilingGroup.classList.toggle('hidden', !byCategory);
 
   if (!byCategory) {
     elements.businessType.focus();
   }
 }
 
+// Toggle adaptive tiling for category searches
+function toggleTiling(enabled) {
+  elements.tilingToggle.checked = enabled;
+  elements.tilingBudget.classList.toggle('hidden', !enabled);
+}
+
 // Toggle location mode
 function toggleLocation(useCurrent) {
   state.useCurrentLocation = useCurrent;
+  state.useRoute = false;
 
   elements.useCurrentLocation.classList.toggle('active', useCurrent);
   elements.useCustomLocation.classList.toggle('active', !useCurrent);
+  elements.useRoute.classList.remove('active');
   elements.customLocationGroup.classList.toggle('hidden', useCurrent);
+  elements.routeGroup.classList.add('hidden');
+  elements.radiusGroup.classList.remove('hidden');
 
   if (!useCurrent) {
     elements.customLocation.focus();
   }
 }
 
+// Switch to searching along a route (the radius doesn't apply)
+function toggleRoute() {
+  state.useRoute = true;
+
+  elements.useCurrentLocation.classList.remove('active');
+  elements.useCustomLocation.classList.remove('active');
+  elements.useRoute.classList.add('active');
+  elements.customLocationGroup.classList.add('hidden');
+  elements.routeGroup.classList.remove('hidden');
+  elements.radiusGroup.classList.add('hidden');
+
+  elements.routeOrigin.focus();
+}
+
+// Build the algorithm picker from the scoring registry
+function renderAlgorithmPicker() {
+  elements.algorithmToggle.innerHTML = listAlgorithms().map(algo => `
+    <button class="toggle-btn" data-algorithm="${escapeHtml(algo.id)}" title="${escapeHtml(getAlgorithmDescription(algo.id))}">
+      ${escapeHtml(getAlgorithmLabel(algo.id))}
+    </button>
+  `).join('');
+
+  toggleAlgorithm(state.algorithm);
+}
+
+// Registry entries carry English labels; translations are looked up by id
+// and unknown ids fall back to the registry text
+function getAlgorithmLabel(id) {
+  const algorithm = getAlgorithm(id);
+  return chrome.i18n.getMessage(`algorithm_${id}`) || algorithm?.label || id;
+}
+
+function getAlgorithmDescription(id) {
+  return chrome.i18n.getMessage(`algorithm_${id}_description`) || getAlgorithm(id)?.description || '';
+}
+
+function getParamLabel(algorithmId, param) {
+  return chrome.i18n.getMessage(`scoring_${algorithmId || 'shared'}_${param.key}`) || param.label;
+}
+
+function getOptionLabel(option) {
+  return chrome.i18n.getMessage(`scoring_option_${option.value}`) || option.label;
+}
+
 // Toggle ranking algorithm
 function toggleAlgorithm(algo) {
-  state.algorithm = algo;
+  // Preferences may name an algorithm that no longer exists
+  state.algorithm = getAlgorithm(algo) ? algo : 'bayesian';
+
+  elements.algorithmToggle.querySelectorAll('[data-algorithm]').forEach(button => {
+    button.classList.toggle('active', button.dataset.algorithm === state.algorithm);
+  });
+  elements.algorithmDescription.textContent = getAlgorithmDescription(state.algorithm);
 
-  elements.algoBayesian.classList.toggle('active', algo === 'bayesian');
-  elements.algoPopularity.classList.toggle('active', algo === 'popularity');
+  if (!elements.scoringSection.classList.contains('hidden')) {
+    renderScoringPanel();
+  }
 }
 
 // Save API Key
@@ -173,12 +539,12 @@ async function handleSaveApiKey() {
   const apiKey = elements.apiKeyInput.value.trim();
 
   if (!apiKey) {
-    showError('Please enter an API key');
+    showError(t('errorApiKeyEmpty'));
     return;
   }
 
   if (apiKey.length < 20) {
-    showError('Invalid API key format');
+    showError(t('errorApiKeyFormat'));
     return;
   }
 
@@ -190,99 +556,316 @@ async function handleSaveApiKey() {
 
 // Handle Search
 async function handleSearch() {
-  let searchQuery;
-  let searchMode;
+  const searchInput = getSearchInput();
+  const { searchQuery } = searchInput;
 
-  if (state.searchByCategory) {
-    searchQuery = elements.categorySelect.value;
-    searchMode = 'category';
-  } else {
-    searchQuery = elements.businessType.value.trim();
-    searchMode = 'text';
-    if (!searchQuery) {
-      showError('Please enter what you\'re looking for');
-      return;
-    }
+  if (!searchQuery) {
+    showError(t('errorQueryEmpty'));
+    return;
   }
 
-  const radius = parseInt(elements.radiusSlider.value) * 1000; // km to meters
+  const radiusKm = getRadiusKm();
+  const radius = Math.round(radiusKm * 1000); // km to meters
+  const tiled = state.searchByCategory && elements.tilingToggle.checked;
+  const filters = getFilters();
+  const travel = getTravel();
+  const maxApiCalls = parseInt(elements.maxApiCalls.value) || undefined;
 
   let location;
 
   let locationLabel = '';
+  let route = null;
+
+  if (state.useRoute) {
+    const polyline = elements.routePolyline.value.trim();
+    const origin = elements.routeOrigin.value.trim();
+    const destination = elements.routeDestination.value.trim();
+
+    if (!polyline && !destination) {
+      showError(t('errorRouteDestinationEmpty'));
+      return;
+    }
 
-  if (state.useCurrentLocation) {
+    showSection('loading');
+    if (polyline) {
+      // A pasted route carries its own origin
+      route = { polyline };
+      locationLabel = t('pastedRoute');
+    } else {
+      try {
+        location = origin ? { query: origin } : await getCurrentPosition();
+      } catch (error) {
+        showError(t('errorLocationUnavailable'));
+        return;
+      }
+      route = { origin: location, destination: { query: destination } };
+      locationLabel = t('routeLabel', [origin || t('currentLocation'), destination]);
+    }
+  } else if (state.useCurrentLocation) {
     showSection('loading');
     try {
       location = await getCurrentPosition();
-      locationLabel = location.city ? `${location.city} (auto)` : 'Current Location';
+      locationLabel = location.city ? t('locationAuto', location.city) : t('currentLocation');
     } catch (error) {
-      showError('Unable to get your location. Please use a custom location.');
+      showError(t('errorLocationUnavailable'));
       return;
     }
   } else {
     const customLoc = elements.customLocation.value.trim();
     if (!customLoc) {
-      showError('Please enter a location');
+      showError(t('errorLocationEmpty'));
       return;
     }
-    location = { query: customLoc };
+    // Resolve a chosen suggestion by place ID rather than re-geocoding its text
+    location = selectedPlace && selectedPlace.fullText === customLoc
+      ? { placeId: selectedPlace.placeId, query: customLoc, sessionToken: autocompleteSessionToken }
+      : { query: customLoc };
     locationLabel = customLoc;
     showSection('loading');
   }
 
+  const request = {
+    ...searchInput,
+    location,
+    route,
+    radius,
+    algorithm: state.algorithm,
+    tiled,
+    maxApiCalls,
+    bypassCache: elements.bypassCache.checked,
+    scoringParams: getScoringParams(state.algorithm),
+    filters,
+    travel
+  };
+
+  const searchParams = {
+    ...searchInput,
+    radiusKm: route ? undefined : radiusKm,
+    route: !!route,
+    location: locationLabel,
+    algorithm: state.algorithm,
+    locationSource: location?.source || 'manual',
+    filters,
+    travel
+  };
+
   try {
-    const results = await sendMessage(MessageTypes.SEARCH, {
-      searchQuery,
-      searchMode,
-      location,
-      radius,
-      algorithm: state.algorithm
-    });
+    try {
+      await runSearch(request, searchParams);
+    } finally {
+      // The details lookup concluded the autocomplete session
+      autocompleteSessionToken = null;
+    }
 
-    if (results.error) {
-      throw new Error(results.error);
+    if (searchInput.searchMode === 'category') {
+      state.typePicks.recent = await recordRecentTypes(searchInput.includedTypes);
     }
 
-    const searchParams = {
-      searchQuery,
-      searchMode,
-      radiusKm: elements.radiusSlider.value,
-      location: locationLabel,
-      algorithm: state.algorithm,
-      locationSource: location.source || 'manual'
-    };
+    // Save preferences
+    savePreferences(getFormPreferences());
+  } catch (error) {
+    showError(error.message || t('errorSearchFailed'));
+  }
+}
 
-    displayResults(results.data, searchParams);
+// Read the category types or text query from the search form
+function getSearchInput() {
+  if (!state.searchByCategory) {
+    return { searchQuery: elements.businessType.value.trim(), searchMode: 'text' };
+  }
 
-    // Save results for persistence
-    saveLastResults({
-      results: results.data,
-      searchParams
-    });
+  const includedTypes = state.includedTypes.length > 0 ? [...state.includedTypes] : [state.selectedType];
+  const primaryOnly = elements.excludePrimaryOnly.checked;
 
-    // Save preferences
-    savePreferences({
-      searchByCategory: state.searchByCategory,
-      lastCategory: state.searchByCategory ? searchQuery : null,
-      lastBusinessType: !state.searchByCategory ? searchQuery : null,
-      radius: elements.radiusSlider.value,
-      useCurrentLocation: state.useCurrentLocation,
-      lastCustomLocation: state.useCurrentLocation ? '' : elements.customLocation.value,
-      algorithm: state.algorithm
-    });
+  return {
+    searchQuery: includedTypes[0],
+    searchMode: 'category',
+    includedTypes,
+    excludedTypes: primaryOnly ? [] : [...state.excludedTypes],
+    excludedPrimaryTypes: primaryOnly ? [...state.excludedTypes] : []
+  };
+}
+
+// Choose a category in the type picker
+function selectType(type) {
+  state.selectedType = type;
+  elements.categoryInput.value = getPlaceTypeLabel(type);
+  hideTypeSuggestions();
+}
+
+// List matching types, or pinned, recent and all types when the query is empty
+function showTypeSuggestions(query) {
+  const option = (entry, showSection) => `
+    <div class="autocomplete-item type-option${entry.type === state.selectedType ? ' current' : ''}" role="option" data-type="${escapeHtml(entry.type)}">
+      <div class="type-option-text">
+        <div class="autocomplete-main">${escapeHtml(entry.label)}</div>
+        ${showSection ? `<div class="autocomplete-secondary">${escapeHtml(entry.section)}</div>` : ''}
+      </div>
+      <button class="type-pin${state.typePicks.pinned.includes(entry.type) ? ' pinned' : ''}" data-pin-type="${escapeHtml(entry.type)}" title="${t(state.typePicks.pinned.includes(entry.type) ? 'unpin' : 'pin')}">&#9733;</button>
+    </div>
+  `;
+  const group = (label, entries, showSection = false) => entries.length > 0
+    ? `<div class="type-option-group">${escapeHtml(label)}</div>${entries.map(entry => option(entry, showSection)).join('')}`
+    : '';
+  const byType = (types) => types.map(type => PLACE_TYPES.find(entry => entry.type === type)).filter(Boolean);
+
+  let html;
+  if (query.trim()) {
+    const matches = searchPlaceTypes(query);
+    html = matches.length > 0
+      ? matches.map(entry => option(entry, true)).join('')
+      : `<div class="autocomplete-loading">${escapeHtml(t('noMatchingTypes'))}</div>`;
+  } else {
+    const { pinned, recent } = state.typePicks;
+    html = [
+      group(t('pinned'), byType(pinned), true),
+      group(t('recent'), byType(recent.filter(type => !pinned.includes(type))), true),
+      ...PLACE_TYPE_SECTIONS.map(section => group(section, PLACE_TYPES.filter(entry => entry.section === section)))
+    ].join('');
+  }
+
+  selectedTypeIndex = -1;
+  elements.categoryDropdown.innerHTML = html;
+  elements.categoryDropdown.classList.remove('hidden');
+  elements.categoryInput.setAttribute('aria-expanded', 'true');
+}
+
+// Close the type picker and show the chosen category again
+function hideTypeSuggestions() {
+  elements.categoryDropdown.classList.add('hidden');
+  elements.categoryDropdown.innerHTML = '';
+  elements.categoryInput.setAttribute('aria-expanded', 'false');
+  elements.categoryInput.value = getPlaceTypeLabel(state.selectedType);
+  selectedTypeIndex = -1;
+}
+
+// Handle keyboard navigation in the type picker
+function handleTypePickerKeydown(e) {
+  const items = elements.categoryDropdown.querySelectorAll('.type-option');
+
+  if (e.key === 'Escape') {
+    hideTypeSuggestions();
+    return;
+  }
+  if (items.length === 0) return;
+
+  if (e.key === 'ArrowDown') {
+    e.preventDefault();
+    selectedTypeIndex = Math.min(selectedTypeIndex + 1, items.length - 1);
+  } else if (e.key === 'ArrowUp') {
+    e.preventDefault();
+    selectedTypeIndex = Math.max(selectedTypeIndex - 1, 0);
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    selectType(items[Math.max(selectedTypeIndex, 0)].dataset.type);
+    return;
+  } else {
+    return;
+  }
+
+  items.forEach((item, i) => item.classList.toggle('selected', i === selectedTypeIndex));
+  items[selectedTypeIndex].scrollIntoView({ block: 'nearest' });
+}
+
+// Pin or unpin a type, keeping the picker open
+async function handlePinType(type) {
+  try {
+    state.typePicks.pinned = await togglePinnedType(type);
+    const { scrollTop } = elements.categoryDropdown;
+    showTypeSuggestions(elements.categoryInput.value === getPlaceTypeLabel(state.selectedType) ? '' : elements.categoryInput.value);
+    elements.categoryDropdown.scrollTop = scrollTop;
   } catch (error) {
-    showError(error.message || 'Search failed. Please try again.');
+    elements.categoryDropdown.insertAdjacentHTML('afterbegin', `<div class="autocomplete-loading">${escapeHtml(error.message)}</div>`);
+    elements.categoryDropdown.scrollTop = 0;
   }
 }
 
+// Add the selected category to the included or excluded types
+function addSearchType(list) {
+  const type = state.selectedType;
+  const target = list === 'included' ? state.includedTypes : state.excludedTypes;
+  const other = list === 'included' ? state.excludedTypes : state.includedTypes;
+
+  if (target.includes(type) || target.length >= CONFIG.MAX_SEARCH_TYPES) return;
+
+  // A type can't be both included and excluded
+  const index = other.indexOf(type);
+  if (index !== -1) other.splice(index, 1);
+
+  target.push(type);
+  renderSearchTypes();
+}
+
+// Remove a type chip from the search form
+function removeSearchType(list, type) {
+  const target = list === 'included' ? state.includedTypes : state.excludedTypes;
+  const index = target.indexOf(type);
+  if (index !== -1) target.splice(index, 1);
+  renderSearchTypes();
+}
+
+// Show included and excluded types as removable chips
+function renderSearchTypes() {
+  const chips = (list, types) => types.map(type => `
+    <button class="type-chip" data-list="${list}" data-type="${escapeHtml(type)}" title="${escapeHtml(t('remove'))}">
+      ${escapeHtml(getPlaceTypeLabel(type))} &times;
+    </button>
+  `).join('');
+
+  elements.includedTypes.innerHTML = chips('included', state.includedTypes);
+  elements.excludedTypes.innerHTML = state.excludedTypes.length > 0
+    ? `<span class="type-chips-label">${escapeHtml(t('excluding'))}</span>${chips('excluded', state.excludedTypes)}`
+    : '';
+  elements.excludePrimaryGroup.classList.toggle('hidden', state.excludedTypes.length === 0);
+}
+
+// Show only one primary type in the results, re-ranking within it
+function setTypeFilter(type) {
+  state.typeFilter = type;
+  rerankCurrentResults();
+}
+
+// Send a search to the service worker, show the results and record them in history
+// previousEntry is the history entry being re-run, whose ranking the results are compared with
+async function runSearch(request, searchParams, previousEntry = null) {
+  const response = await sendMessage(MessageTypes.SEARCH, request);
+
+  if (response.error) {
+    throw new Error(response.error);
+  }
+
+  const { results: topResults, places, center, candidateCount, matchCount, fromCache, cachedAt, travelError } = response.data;
+  const meta = { candidateCount, matchCount, fromCache, cachedAt, travelError };
+  if (previousEntry) {
+    meta.previousRanking = previousEntry.results.map(({ placeId, name }) => ({ placeId, name }));
+    meta.previousRunAt = previousEntry.timestamp;
+  }
+  searchParams = { ...searchParams, center };
+
+  state.currentSearch = { request, places, results: topResults, searchParams, meta };
+  state.typeFilter = null;
+  displayResults(topResults, searchParams, meta);
+  shareSession({ search: state.currentSearch });
+
+  // Save results for persistence (raw places allow re-ranking later)
+  saveLastResults({
+    request,
+    results: topResults,
+    places,
+    searchParams,
+    ...meta
+  });
+
+  addHistoryEntry({ request, searchParams, results: topResults, meta });
+}
+
 // Get current position (tries browser geolocation first, then IP fallback with consent)
 async function getCurrentPosition() {
   // First try browser geolocation
   try {
     const position = await new Promise((resolve, reject) => {
       if (!navigator.geolocation) {
-        reject(new Error('Geolocation not supported'));
+        reject(new Error(t('errorGeolocationUnsupported')));
         return;
       }
 
@@ -308,7 +891,7 @@ async function getCurrentPosition() {
       // Ask for consent before using IP geolocation
       const userConsent = await showIPConsentDialog();
       if (!userConsent) {
-        throw new Error('Location access denied. Please use a custom location instead.');
+        throw new Error(t('errorLocationDenied'));
       }
       // Save consent for future use
       await saveIPLocationConsent(true);
@@ -324,7 +907,7 @@ async function getCurrentPosition() {
 
       return response.data;
     } catch (ipError) {
-      throw new Error('Could not determine location. Please use custom location.');
+      throw new Error(t('errorLocationUndetermined'));
     }
   }
 }
@@ -337,12 +920,12 @@ function showIPConsentDialog() {
     overlay.className = 'consent-overlay';
     overlay.innerHTML = `
       <div class="consent-dialog">
-        <h3>Location Access</h3>
-        <p>Browser location is unavailable. Would you like to use approximate location based on your IP address?</p>
-        <p class="consent-note">Your IP will be sent to a third-party geolocation service (ipapi.co) to determine your approximate location.</p>
+        <h3>${escapeHtml(t('consentTitle'))}</h3>
+        <p>${escapeHtml(t('consentBody'))}</p>
+        <p class="consent-note">${escapeHtml(t('consentNote'))}</p>
         <div class="consent-buttons">
-          <button class="consent-btn consent-deny">No, I'll enter location manually</button>
-          <button class="consent-btn consent-allow">Yes, use approximate location</button>
+          <button class="consent-btn consent-deny">${escapeHtml(t('consentDeny'))}</button>
+          <button class="consent-btn consent-allow">${escapeHtml(t('consentAllow'))}</button>
         </div>
       </div>
     `;
@@ -363,108 +946,942 @@ function showIPConsentDialog() {
 }
 
 // Display results
-function displayResults(results, searchParams = null) {
+// meta.candidateCount is how many places were scanned before picking the top N,
+// meta.fromCache / meta.cachedAt say whether the places came from the response cache
+function displayResults(results, searchParams = null, meta = {}) {
   showSection('results');
+  elements.watchForm.classList.add('hidden');
+  elements.watchToggle.setAttribute('aria-expanded', 'false');
+  elements.watchToggle.classList.toggle('hidden', !state.currentSearch?.request);
+  renderResults(results, searchParams, meta);
+}
 
+// Render result cards without changing which sections are visible
+function renderResults(results, searchParams = null, meta = {}) {
   // Build search info header
   let searchInfoHtml = '';
   if (searchParams) {
-    const categoryNames = {
-      'barber_shop': 'Barber Shop',
-      'restaurant': 'Restaurant',
-      'cafe': 'Cafe',
-      'bar': 'Bar',
-      'gym': 'Gym',
-      'atm': 'ATM',
-      'bank': 'Bank',
-      'pharmacy': 'Pharmacy',
-      'gas_station': 'Gas Station',
-      'hotel': 'Hotel',
-      'motel': 'Motel',
-      'grocery_store': 'Grocery Store',
-      'supermarket': 'Supermarket',
-      'ramen_restaurant': 'Ramen',
-      'mexican_restaurant': 'Mexican Restaurant',
-      'japanese_restaurant': 'Japanese Restaurant',
-      'chinese_restaurant': 'Chinese Restaurant',
-      'steak_house': 'Steak House',
-      'hamburger_restaurant': 'Hamburger Restaurant',
-      'barbecue_restaurant': 'Barbecue Restaurant',
-      'breakfast_restaurant': 'Breakfast Restaurant',
-      'brunch_restaurant': 'Brunch Restaurant',
-      'karaoke': 'Karaoke',
-      'aquarium': 'Aquarium',
-      'botanical_garden': 'Botanical Garden',
-      'skin_care_clinic': 'Skin Care Clinic',
-      'electrician': 'Electrician',
-      'florist': 'Florist',
-      'hair_care': 'Hair Care',
-      'locksmith': 'Locksmith',
-      'plumber': 'Plumber',
-      'furniture_store': 'Furniture Store'
-    };
-    const searchLabel = searchParams.searchMode === 'category'
-      ? (categoryNames[searchParams.searchQuery] || escapeHtml(searchParams.searchQuery))
-      : `"${escapeHtml(searchParams.searchQuery)}"`;
+    const searchLabel = getSearchLabel(searchParams);
 
-    const algoLabel = searchParams.algorithm === 'popularity' ? 'Popularity' : 'Bayesian';
+    const algoLabel = escapeHtml(getAlgorithmLabel(searchParams.algorithm));
 
     const locationSourceLabel = searchParams.locationSource === 'gps'
-      ? '<span class="location-badge location-gps">GPS</span>'
+      ? `<span class="location-badge location-gps">${escapeHtml(t('badgeGps'))}</span>`
       : searchParams.locationSource === 'ip'
-        ? '<span class="location-badge location-ip">Approximate</span>'
+        ? `<span class="location-badge location-ip">${escapeHtml(t('badgeApproximate'))}</span>`
         : '';
 
+    const cacheLabel = meta.fromCache
+      ? `<span class="location-badge cache-badge" title="${escapeHtml(meta.cachedAt ? t('cachedSavedTitle', formatter.date(meta.cachedAt)) : t('cachedTitle'))}">${escapeHtml(t('badgeCached'))}</span>`
+      : '';
+
+    const filterSummary = describeFilters(searchParams.filters);
+    const matchLabel = filterSummary && typeof meta.matchCount === 'number'
+      ? ` · ${formatter.count('matchCount', meta.matchCount)}`
+      : '';
+    const candidateLabel = typeof meta.candidateCount === 'number'
+      ? `<span class="search-info-candidates">${escapeHtml(formatter.count('candidateCount', meta.candidateCount) + matchLabel)}</span>`
+      : '';
+    const filterLabel = filterSummary
+      ? `<span class="search-info-filters">${escapeHtml(filterSummary)}</span>`
+      : '';
+    const excluded = [...(searchParams.excludedTypes || []), ...(searchParams.excludedPrimaryTypes || [])];
+    const excludedLabel = excluded.length > 0
+      ? `<span class="search-info-filters">${escapeHtml(t('excludingTypes', excluded.map(getPlaceTypeLabel).join(', ')))}</span>`
+      : '';
+    const travelSummary = meta.travelError
+      ? t('travelUnavailable', meta.travelError)
+      : describeTravel(searchParams.travel);
+    const travelLabel = travelSummary
+      ? `<span class="search-info-filters${meta.travelError ? ' watch-error' : ''}">${escapeHtml(travelSummary)}</span>`
+      : '';
+    const comparedLabel = meta.previousRunAt
+      ? `<span class="search-info-filters">${escapeHtml(t('comparedWithRun', formatter.date(meta.previousRunAt)))}</span>`
+      : '';
+
     searchInfoHtml = `
       <div class="search-info">
         <span class="search-info-label">${searchLabel}</span>
-        <span class="search-info-detail">${escapeHtml(String(searchParams.radiusKm))} km from ${escapeHtml(searchParams.location)} ${locationSourceLabel} · ${algoLabel}</span>
+        <span class="search-info-detail">${escapeHtml(describeSearchArea(searchParams))} ${locationSourceLabel} · ${algoLabel} ${cacheLabel}</span>
+        ${filterLabel}
+        ${travelLabel}
+        ${excludedLabel}
+        ${candidateLabel}
+        ${comparedLabel}
       </div>
     `;
   }
 
+  // Rank movement since the run this one re-ran
+  const diff = meta.previousRanking ? diffRankings(meta.previousRanking, results || []) : null;
+  const droppedHtml = diff && diff.dropped.length > 0 ? `
+    <div class="dropped-out">
+      <strong>${escapeHtml(t('droppedOut'))}</strong>
+      <ul>
+        ${diff.dropped.map(place => `<li>${escapeHtml(place.name)} <span class="dropped-rank">${escapeHtml(t('wasRank', place.previousRank))}</span></li>`).join('')}
+      </ul>
+    </div>
+  ` : '';
+
+  searchInfoHtml += renderTypeFilterChips();
+
   if (!results || results.length === 0) {
     elements.resultsContainer.innerHTML = `
       ${searchInfoHtml}
       <div class="no-results">
-        <p>No businesses found in this area.</p>
-        <p>Try expanding your search radius or a different location.</p>
+        <p>${escapeHtml(t('noResults'))}</p>
+        <p>${escapeHtml(t('noResultsHint'))}</p>
       </div>
+      ${droppedHtml}
     `;
     return;
   }
 
-  elements.resultsContainer.innerHTML = searchInfoHtml + results.map((result, index) => `
-    <div class="result-card rank-${index + 1}">
+  const scoreLabel = getAlgorithmLabel(searchParams?.algorithm || 'bayesian');
+
+  // The wide side panel lists every result in a table beside one selected card
+  if (!results.some(result => result.placeId === selectedPlaceId)) {
+    selectedPlaceId = results[0].placeId;
+  }
+  const selectedClass = placeId => isPanel && placeId === selectedPlaceId ? ' selected' : '';
+
+  elements.resultsContainer.classList.toggle('has-table', isPanel);
+  elements.resultsContainer.innerHTML = searchInfoHtml + renderMiniMap(results, searchParams) +
+    (isPanel ? renderResultsTable(results, searchParams) : '') + results.map((result, index) => `
+    <div class="result-card rank-${index + 1}${selectedClass(result.placeId)}" data-place-id="${escapeHtml(result.placeId)}">
       <div class="result-header">
         <span class="result-rank">${index + 1}</span>
         <span class="result-name">${escapeHtml(result.name)}</span>
+        ${diff ? renderMovement(diff.changes[result.placeId]) : ''}
+        <button class="result-favorite${state.favoriteIds.has(result.placeId) ? ' saved' : ''}"
+                aria-pressed="${state.favoriteIds.has(result.placeId)}"
+                title="${escapeHtml(t(state.favoriteIds.has(result.placeId) ? 'removeFavorite' : 'saveFavorite'))}">
+          ${state.favoriteIds.has(result.placeId) ? '&#9733;' : '&#9734;'}
+        </button>
       </div>
       <div class="result-meta">
-        <span class="result-rating">&#9733; ${result.rating.toFixed(1)}</span>
-        <span>${result.reviewCount.toLocaleString()} reviews</span>
-        ${result.distanceKm ? `<span>${result.distanceKm} km</span>` : ''}
+        <span class="result-rating">&#9733; ${formatter.decimal(result.rating, 1)}</span>
+        <span>${formatter.count('reviewCount', result.reviewCount)}</span>
+        ${result.detourKm !== null && result.detourKm !== undefined
+          ? `<span class="result-detour">${escapeHtml(describeDistance(result))}</span>`
+          : result.distanceKm ? `<span>${escapeHtml(describeDistance(result))}</span>` : ''}
+        ${typeof result.travelMinutes === 'number' && searchParams?.travel?.mode
+          ? `<span class="result-eta">${escapeHtml(describeTravelTime(result, searchParams))}</span>`
+          : ''}
+        ${result.primaryTypeLabel ? `<span class="result-type">${escapeHtml(result.primaryTypeLabel)}</span>` : ''}
       </div>
       <div class="result-score">
-        Bayesian Score: ${result.bayesianScore.toFixed(2)}
+        ${escapeHtml(t('algorithmScore', [scoreLabel, formatter.decimal(result.bayesianScore, 2)]))}
       </div>
+      ${typeof result.blendedScore === 'number' ? `
+        <div class="result-score result-score-blended" title="${escapeHtml(t('blendedScoreTitle'))}">
+          ${escapeHtml(t('blendedScore', formatter.decimal(result.blendedScore, 2)))}
+        </div>
+      ` : ''}
       ${result.address ? `<div class="result-address">${escapeHtml(result.address)}</div>` : ''}
+      <div class="result-trend hidden"></div>
       <a href="https://www.google.com/maps/place/?q=place_id:${encodeURIComponent(result.placeId)}"
          target="_blank"
          rel="noopener noreferrer"
          class="result-link">
-        View on Google Maps &#8594;
+        ${escapeHtml(t('viewOnMaps'))} &#8594;
       </a>
+      <button class="result-details-toggle" aria-expanded="false">${escapeHtml(t('details'))}</button>
+      <div class="result-details hidden"></div>
+    </div>
+  `).join('') + droppedHtml;
+
+  renderTrends(results);
+}
+
+// Compact table of every result, for the wide side panel
+function renderResultsTable(results, searchParams) {
+  const scoreLabel = getAlgorithmLabel(searchParams?.algorithm || 'bayesian');
+
+  return `
+    <table class="results-table" aria-label="${escapeHtml(t('resultsTableLabel'))}">
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>${escapeHtml(t('tableColumnPlace'))}</th>
+          <th>${escapeHtml(t('tableColumnRating'))}</th>
+          <th>${escapeHtml(t('tableColumnReviews'))}</th>
+          <th>${escapeHtml(t('tableColumnDistance'))}</th>
+          <th>${escapeHtml(scoreLabel)}</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${results.map((result, index) => `
+          <tr class="results-row rank-${index + 1}${result.placeId === selectedPlaceId ? ' selected' : ''}" data-place-id="${escapeHtml(result.placeId)}">
+            <td class="results-rank">${index + 1}</td>
+            <td class="results-name">${escapeHtml(result.name)}</td>
+            <td>&#9733; ${formatter.decimal(result.rating, 1)}</td>
+            <td>${formatter.number(result.reviewCount)}</td>
+            <td>${escapeHtml(describeTravelTime(result, searchParams) || describeDistance(result))}</td>
+            <td>${formatter.decimal(result.blendedScore ?? result.bayesianScore, 2)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Detour from the route, or distance from the search center
+function describeDistance(result) {
+  if (result.detourKm !== null && result.detourKm !== undefined) {
+    return t('detour', formatter.distance(Number(result.detourKm)));
+  }
+  return result.distanceKm ? formatter.distance(Number(result.distanceKm)) : '';
+}
+
+// Travel time in the searched mode, when it was timed
+function describeTravelTime(result, searchParams) {
+  if (typeof result.travelMinutes !== 'number' || !searchParams?.travel?.mode) return '';
+  return t(`eta_${searchParams.travel.mode}`, formatter.number(result.travelMinutes));
+}
+
+// Select a table row: show its card, with details, beside the table
+function selectResult(placeId) {
+  selectedPlaceId = placeId;
+  elements.resultsContainer.querySelectorAll('.result-card, .results-row').forEach(el => {
+    el.classList.toggle('selected', el.dataset.placeId === placeId);
+  });
+
+  const card = [...elements.resultsContainer.querySelectorAll('.result-card')]
+    .find(el => el.dataset.placeId === placeId);
+  if (card?.querySelector('.result-details').classList.contains('hidden')) {
+    toggleResultDetails(card);
+  }
+}
+
+// SVG mini-map of the search center, radius and numbered result pins
+// Drawn locally since the CSP allows no map tiles; older history entries
+// saved without a center get no map.
+function renderMiniMap(results, searchParams) {
+  const center = searchParams?.center;
+  if (!center) return '';
+
+  const width = 340;
+  const height = 180;
+  const map = projectMiniMap(
+    center,
+    searchParams.route ? null : Number(searchParams.radiusKm) || null,
+    results.map(result => ({ id: result.placeId, lat: result.lat, lng: result.lng })),
+    { width, height, padding: 14 }
+  );
+  if (map.pins.length === 0) return '';
+
+  const names = new Map(results.map((result, index) => [result.placeId, { name: result.name, rank: index + 1 }]));
+
+  // Draw lower ranks first so the top pins sit on top where they overlap
+  const pinsHtml = [...map.pins].reverse().map(pin => {
+    const { name, rank } = names.get(pin.id);
+    return `
+      <g class="map-pin rank-${rank}" data-place-id="${escapeHtml(pin.id)}" transform="translate(${pin.x} ${pin.y})">
+        <title>${escapeHtml(`${rank}. ${name}`)}</title>
+        <circle r="9"/>
+        <text text-anchor="middle" dy="3.5">${rank}</text>
+      </g>
+    `;
+  }).join('');
+
+  return `
+    <svg class="mini-map" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(t('miniMapLabel'))}">
+      ${map.radius ? `<circle class="map-radius" cx="${map.center.x}" cy="${map.center.y}" r="${map.radius}"/>` : ''}
+      <circle class="map-center" cx="${map.center.x}" cy="${map.center.y}" r="4">
+        <title>${escapeHtml(searchParams.route ? t('routeStart') : t('searchCenter'))}</title>
+      </circle>
+      ${pinsHtml}
+    </svg>
+  `;
+}
+
+// Highlight one place's card and map pin, or clear the highlight with null
+function highlightPlace(placeId) {
+  elements.resultsContainer.querySelectorAll('.result-card, .results-row, .map-pin').forEach(el => {
+    el.classList.toggle('highlighted', el.dataset.placeId === placeId);
+  });
+}
+
+// Fill in rating trends for result cards with at least two observations
+async function renderTrends(results) {
+  const trends = await getTrends(results.map(result => result.placeId));
+
+  elements.resultsContainer.querySelectorAll('.result-card').forEach(card => {
+    const trend = summarizeTrend(trends[card.dataset.placeId]);
+    if (!trend) return;
+
+    const container = card.querySelector('.result-trend');
+    const direction = trend.ratingDelta > 0 ? 'up' : trend.ratingDelta < 0 ? 'down' : 'flat';
+    const arrow = { up: '&#9650;', down: '&#9660;', flat: '&#9644;' }[direction];
+    const signed = (value, digits = 0) => formatter.number(value, { minimumFractionDigits: digits, maximumFractionDigits: digits, signDisplay: 'exceptZero' });
+
+    container.innerHTML = `
+      <span class="trend-arrow trend-${direction}">${arrow}</span>
+      <span>${escapeHtml(t('trendSummary', [signed(trend.ratingDelta, 1), signed(trend.reviewDelta), formatter.count('dayCount', trend.days)]))}</span>
+      <svg class="trend-sparkline trend-${direction}" width="60" height="16" viewBox="-1 -1 62 18" aria-hidden="true">
+        <polyline points="${sparklinePoints(trend.points, 60, 16)}" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>
+      </svg>
+    `;
+    container.title = t('trendTitle', trend.points.length);
+    container.classList.remove('hidden');
+  });
+}
+
+// Chip row for narrowing re-rankable results to one primary type
+function renderTypeFilterChips() {
+  const places = state.currentSearch?.places;
+  if (!places) return '';
+
+  const types = new Map();
+  places.forEach(place => {
+    if (!place.primaryType) return;
+    const entry = types.get(place.primaryType) || { label: place.primaryTypeDisplayName?.text || getPlaceTypeLabel(place.primaryType), count: 0 };
+    entry.count++;
+    types.set(place.primaryType, entry);
+  });
+
+  if (types.size < 2) return '';
+
+  const chip = (type, label, count) => `
+    <button class="type-chip type-filter-chip${state.typeFilter === type ? ' active' : ''}" data-type="${escapeHtml(type || '')}">
+      ${escapeHtml(label)} <span class="type-chip-count">${count}</span>
+    </button>
+  `;
+
+  return `
+    <div class="type-chips type-filter-row">
+      ${chip(null, t('all'), places.length)}
+      ${[...types.entries()]
+        .sort((a, b) => b[1].count - a[1].count)
+        .map(([type, { label, count }]) => chip(type, label, count))
+        .join('')}
+    </div>
+  `;
+}
+
+// Badge showing how far a result moved since the previous run
+function renderMovement(change) {
+  switch (change?.status) {
+    case 'new':
+      return `<span class="result-movement movement-new" title="${escapeHtml(t('movementNewTitle'))}">${escapeHtml(t('movementNew'))}</span>`;
+    case 'up':
+      return `<span class="result-movement movement-up" title="${escapeHtml(t('movementUpTitle', change.delta))}">&#9650;${change.delta}</span>`;
+    case 'down':
+      return `<span class="result-movement movement-down" title="${escapeHtml(t('movementDownTitle', change.delta))}">&#9660;${change.delta}</span>`;
+    default:
+      return `<span class="result-movement movement-same" title="${escapeHtml(t('movementSameTitle'))}">&#8211;</span>`;
+  }
+}
+
+// Heading for a search: the category names, or the quoted text query
+function getSearchLabel(searchParams) {
+  if (searchParams.searchMode !== 'category') {
+    return `"${escapeHtml(searchParams.searchQuery)}"`;
+  }
+
+  const types = searchParams.includedTypes?.length > 0 ? searchParams.includedTypes : [searchParams.searchQuery];
+  return types.map(type => escapeHtml(getPlaceTypeLabel(type))).join(' + ');
+}
+
+// Expand or collapse a result card, loading its details on first expand
+async function toggleResultDetails(card) {
+  const toggle = card.querySelector('.result-details-toggle');
+  const container = card.querySelector('.result-details');
+  const expanding = container.classList.contains('hidden');
+
+  container.classList.toggle('hidden', !expanding);
+  toggle.setAttribute('aria-expanded', String(expanding));
+  toggle.textContent = t(expanding ? 'hideDetails' : 'details');
+
+  if (!expanding || container.dataset.loaded) return;
+
+  const placeId = card.dataset.placeId;
+  container.innerHTML = `<div class="result-details-loading">${escapeHtml(t('loadingDetails'))}</div>`;
+
+  try {
+    if (!placeDetailsCache.has(placeId)) {
+      const response = await sendMessage(MessageTypes.GET_PLACE_DETAILS, { placeId });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+      placeDetailsCache.set(placeId, response.data);
+    }
+
+    container.innerHTML = renderPlaceDetails(placeDetailsCache.get(placeId));
+    container.dataset.loaded = 'true';
+  } catch (error) {
+    container.innerHTML = `<div class="result-details-error">${escapeHtml(error.message || t('errorLoadDetails'))}</div>`;
+  }
+}
+
+// Build the expanded details markup for a place
+function renderPlaceDetails(details) {
+  const sections = [];
+
+  if (details.editorialSummary) {
+    sections.push(`<p class="details-summary">${escapeHtml(details.editorialSummary)}</p>`);
+  }
+
+  const contact = [];
+  if (details.phone) {
+    contact.push(`<a href="tel:${escapeHtml(details.phone.replace(/[^\d+]/g, ''))}">${escapeHtml(details.phone)}</a>`);
+  }
+  if (details.website && /^https?:\/\//i.test(details.website)) {
+    contact.push(`<a href="${escapeHtml(details.website)}" target="_blank" rel="noopener noreferrer">${escapeHtml(t('website'))}</a>`);
+  }
+  if (contact.length > 0) {
+    sections.push(`<div class="details-contact">${contact.join('')}</div>`);
+  }
+
+  if (details.weeklyHours.length > 0) {
+    sections.push(`
+      <ul class="details-hours">
+        ${details.weeklyHours.map(line => `<li>${escapeHtml(line)}</li>`).join('')}
+      </ul>
+    `);
+  }
+
+  if (details.reviews.length > 0) {
+    sections.push(`
+      <div class="details-reviews">
+        ${details.reviews.map(review => `
+          <div class="details-review">
+            <div class="details-review-header">
+              <span class="result-rating">&#9733; ${review.rating}</span>
+              <span>${escapeHtml(review.author)}</span>
+              <span class="details-review-time">${escapeHtml(review.relativeTime)}</span>
+            </div>
+            ${review.text ? `<p>${escapeHtml(review.text)}</p>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `);
+  }
+
+  return sections.length > 0
+    ? sections.join('')
+    : `<div class="result-details-loading">${escapeHtml(t('noDetails'))}</div>`;
+}
+
+// Save or unsave a result from its star button
+async function toggleFavorite(placeId) {
+  if (state.favoriteIds.has(placeId)) {
+    await removeFavorite(placeId);
+    state.favoriteIds.delete(placeId);
+  } else {
+    const result = state.currentSearch?.results?.find(r => r.placeId === placeId);
+    if (!result) return;
+    await addFavorite(result);
+    state.favoriteIds.add(placeId);
+  }
+
+  const current = state.currentSearch;
+  renderResults(current.results, current.searchParams, current.meta);
+}
+
+// Open or close the favorites view
+function toggleFavorites() {
+  if (elements.favoritesSection.classList.contains('hidden')) {
+    showSection('favorites');
+    renderFavorites();
+  } else {
+    returnToResults();
+  }
+}
+
+// Return from favorites or history to the results on screen, or the search form
+function returnToResults() {
+  const current = state.currentSearch;
+  if (current?.results?.length > 0) {
+    displayResults(current.results, current.searchParams, current.meta);
+  } else {
+    showSection('search');
+  }
+}
+
+// Render saved places matching the favorites filters
+async function renderFavorites() {
+  const favorites = await listFavorites();
+
+  // Rebuild the tag filter, keeping the selection if the tag still exists
+  const tags = collectTags(favorites);
+  const selectedTag = tags.includes(elements.favoritesTag.value) ? elements.favoritesTag.value : '';
+  elements.favoritesTag.innerHTML = `<option value="">${escapeHtml(t('allTags'))}</option>` + tags.map(tag => `
+    <option value="${escapeHtml(tag)}"${tag === selectedTag ? ' selected' : ''}>${escapeHtml(tag)}</option>
+  `).join('');
+
+  const matches = filterFavorites(favorites, {
+    query: elements.favoritesSearch.value,
+    tag: selectedTag,
+    visited: elements.favoritesVisited.value
+  });
+
+  if (matches.length === 0) {
+    elements.favoritesContainer.innerHTML = `
+      <div class="no-results">
+        <p>${escapeHtml(t(favorites.length === 0 ? 'noFavorites' : 'noFavoritesMatch'))}</p>
+        ${favorites.length === 0 ? `<p>${escapeHtml(t('noFavoritesHint'))}</p>` : ''}
+      </div>
+    `;
+    return;
+  }
+
+  elements.favoritesContainer.innerHTML = matches.map(favorite => `
+    <div class="result-card favorite-card${favorite.visited ? ' visited' : ''}" data-place-id="${escapeHtml(favorite.placeId)}">
+      <div class="result-header">
+        <span class="result-name">${escapeHtml(favorite.name)}</span>
+        <label class="checkbox-label favorite-visited">
+          <input type="checkbox" data-field="visited"${favorite.visited ? ' checked' : ''}>
+          <span>${escapeHtml(t('visited'))}</span>
+        </label>
+      </div>
+      <div class="result-meta">
+        <span class="result-rating">&#9733; ${formatter.decimal(Number(favorite.rating), 1)}</span>
+        <span>${formatter.count('reviewCount', Number(favorite.reviewCount))}</span>
+      </div>
+      ${favorite.address ? `<div class="result-address">${escapeHtml(favorite.address)}</div>` : ''}
+      <textarea class="favorite-note" data-field="note" rows="2" placeholder="${escapeHtml(t('notePlaceholder'))}">${escapeHtml(favorite.note)}</textarea>
+      <input type="text" class="favorite-tags" data-field="tags" placeholder="${escapeHtml(t('tagsPlaceholder'))}" value="${escapeHtml(favorite.tags.join(', '))}">
+      <div class="favorite-actions">
+        <a href="https://www.google.com/maps/place/?q=place_id:${encodeURIComponent(favorite.placeId)}"
+           target="_blank"
+           rel="noopener noreferrer"
+           class="result-link">
+          ${escapeHtml(t('openInMaps'))}
+        </a>
+        <button class="favorite-remove">${escapeHtml(t('remove'))}</button>
+      </div>
     </div>
   `).join('');
 }
 
+// Save a note, tag or visited edit from a favorite card
+async function handleFavoriteEdit(e) {
+  const field = e.target.dataset.field;
+  if (!field) return;
+
+  const placeId = e.target.closest('.favorite-card').dataset.placeId;
+  const changes = field === 'visited'
+    ? { visited: e.target.checked }
+    : field === 'tags'
+      ? { tags: parseTags(e.target.value) }
+      : { note: e.target.value };
+
+  await updateFavorite(placeId, changes);
+
+  // Tags and visited status feed the filters, so refresh the list
+  if (field !== 'note') renderFavorites();
+}
+
+// Delete a favorite from the favorites view
+async function handleRemoveFavorite(placeId) {
+  await removeFavorite(placeId);
+  state.favoriteIds.delete(placeId);
+  renderFavorites();
+}
+
+// Open or close the search history view
+function toggleHistory() {
+  if (elements.historySection.classList.contains('hidden')) {
+    showSection('history');
+    renderWatches();
+    renderHistory();
+  } else {
+    returnToResults();
+  }
+}
+
+// List past searches with view, re-run and remove actions
+async function renderHistory() {
+  const history = await listHistory();
+
+  if (history.length === 0) {
+    elements.historyContainer.innerHTML = `
+      <div class="no-results">
+        <p>${escapeHtml(t('noHistory'))}</p>
+        <p>${escapeHtml(t('noHistoryHint'))}</p>
+      </div>
+    `;
+    return;
+  }
+
+  elements.historyContainer.innerHTML = history.map(entry => {
+    const { searchParams, results } = entry;
+    const algoLabel = escapeHtml(getAlgorithmLabel(searchParams.algorithm));
+    const topLabel = escapeHtml(results.length > 0 ? t('topResult', results[0].name) : t('noResultsShort'));
+
+    return `
+      <div class="history-entry" data-history-id="${escapeHtml(entry.id)}">
+        <div class="history-entry-main">
+          <span class="history-entry-label">${getSearchLabel(searchParams)}</span>
+          <span class="history-entry-detail">${escapeHtml(describeSearchArea(searchParams))} · ${algoLabel}</span>
+          <span class="history-entry-detail">${escapeHtml(formatter.date(entry.timestamp))} · ${topLabel}</span>
+        </div>
+        <div class="history-entry-actions">
+          <button data-history-action="view">${escapeHtml(t('view'))}</button>
+          <button data-history-action="rerun">${escapeHtml(t('rerun'))}</button>
+          <button data-history-action="remove" title="${escapeHtml(t('removeFromHistory'))}">&times;</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+// List watched searches above the history
+async function renderWatches() {
+  const watches = await listWatches();
+
+  if (watches.length === 0) {
+    elements.watchesContainer.innerHTML = '';
+    return;
+  }
+
+  elements.watchesContainer.innerHTML = `
+    <div class="watches-list">
+      <strong>${escapeHtml(t('watching'))}</strong>
+      ${watches.map(watch => `
+        <div class="watch-entry" data-watch-id="${escapeHtml(watch.id)}">
+          <div class="history-entry-main">
+            <span class="history-entry-label">${getSearchLabel(watch.searchParams)}</span>
+            <span class="history-entry-detail">${escapeHtml(watch.searchParams.location)} · ${escapeHtml(t('watchDetail', [watch.topN, formatter.decimal(Number(watch.minRating), 1), watch.intervalHours]))}</span>
+            <span class="history-entry-detail${watch.lastError ? ' watch-error' : ''}">${escapeHtml(watch.lastError
+              ? t('watchLastError', watch.lastError)
+              : t('watchChecked', formatter.date(watch.lastCheckedAt)))}</span>
+          </div>
+          <div class="history-entry-actions">
+            <button class="watch-remove" title="${escapeHtml(t('stopWatching'))}">&times;</button>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+// View, re-run or remove a history entry
+async function handleHistoryAction(action, id) {
+  if (action === 'remove') {
+    await removeHistoryEntry(id);
+    renderHistory();
+    return;
+  }
+
+  const entry = await getHistoryEntry(id);
+  if (!entry) return;
+
+  if (action === 'view') {
+    // Stored results only - raw places aren't kept in history, so no re-ranking
+    state.currentSearch = { request: entry.request, places: null, results: entry.results, searchParams: entry.searchParams, meta: entry.meta };
+    state.typeFilter = null;
+    displayResults(entry.results, entry.searchParams, entry.meta);
+    shareSession({ search: state.currentSearch });
+    return;
+  }
+
+  showSection('loading');
+  try {
+    await runSearch(
+      { ...entry.request, bypassCache: elements.bypassCache.checked },
+      entry.searchParams,
+      entry
+    );
+  } catch (error) {
+    showError(error.message || t('errorSearchFailed'));
+  }
+}
+
+// Show or hide the watch options for the results on screen
+function toggleWatchForm() {
+  const opening = elements.watchForm.classList.contains('hidden');
+
+  if (opening) {
+    elements.watchTopN.max = CONFIG.TOP_RESULTS_TO_SHOW;
+    elements.watchMessage.classList.add('hidden');
+    elements.watchSave.disabled = false;
+  }
+
+  elements.watchForm.classList.toggle('hidden', !opening);
+  elements.watchToggle.setAttribute('aria-expanded', String(opening));
+}
+
+// Save the results on screen as a watched search
+async function handleSaveWatch() {
+  const current = state.currentSearch;
+  if (!current?.request) return;
+
+  const topN = Math.min(Math.max(1, parseInt(elements.watchTopN.value) || 1), CONFIG.TOP_RESULTS_TO_SHOW);
+
+  try {
+    await addWatch({
+      request: current.request,
+      searchParams: current.searchParams,
+      results: current.results,
+      topN,
+      minRating: parseFloat(elements.watchMinRating.value) || CONFIG.WATCH.DEFAULT_MIN_RATING,
+      intervalHours: parseInt(elements.watchInterval.value) || CONFIG.WATCH.DEFAULT_INTERVAL_HOURS
+    });
+    elements.watchMessage.textContent = t('watchSaved');
+    elements.watchMessage.classList.remove('watch-error');
+    elements.watchSave.disabled = true;
+  } catch (error) {
+    elements.watchMessage.textContent = error.message;
+    elements.watchMessage.classList.add('watch-error');
+  }
+
+  elements.watchMessage.classList.remove('hidden');
+}
+
+// Open the compare view for the query, radius and algorithm in the search form
+function openCompare() {
+  const searchInput = getSearchInput();
+
+  if (!searchInput.searchQuery) {
+    showError(t('errorQueryEmpty'));
+    return;
+  }
+
+  const algoLabel = getAlgorithmLabel(state.algorithm);
+  const radius = formatter.distance(getRadiusKm());
+  elements.compareSummary.innerHTML = `${t('searchWithin', [getSearchLabel(searchInput), escapeHtml(radius)])} · ${escapeHtml(algoLabel)}`;
+
+  if (elements.compareAreas.children.length === 0) {
+    addCompareArea();
+    addCompareArea();
+  }
+
+  showSection('compare');
+}
+
+// Add a location input to the compare form
+function addCompareArea(value = '') {
+  const row = document.createElement('div');
+  row.className = 'compare-area';
+  row.innerHTML = `
+    <input type="text" class="compare-area-input" placeholder="${escapeHtml(t('areaPlaceholder'))}" autocomplete="off" value="${escapeHtml(value)}">
+    <button class="compare-area-remove" title="${escapeHtml(t('removeArea'))}">&times;</button>
+  `;
+  elements.compareAreas.appendChild(row);
+  updateCompareControls();
+}
+
+// Keep between two and COMPARE.MAX_AREAS location inputs
+function updateCompareControls() {
+  const count = elements.compareAreas.children.length;
+  elements.compareAddArea.classList.toggle('hidden', count >= CONFIG.COMPARE.MAX_AREAS);
+  elements.compareAreas.querySelectorAll('.compare-area-remove').forEach(button => {
+    button.disabled = count <= 2;
+  });
+}
+
+// Run the search form's query around every entered area
+async function handleCompare() {
+  const searchInput = getSearchInput();
+  const areas = [...elements.compareAreas.querySelectorAll('.compare-area-input')]
+    .map(input => input.value.trim())
+    .filter(Boolean)
+    .map(label => ({ label, location: { query: label } }));
+
+  if (areas.length < 2) {
+    elements.compareResults.innerHTML = `<div class="result-details-error">${escapeHtml(t('errorCompareTooFew'))}</div>`;
+    return;
+  }
+
+  elements.compareRun.disabled = true;
+  elements.compareResults.innerHTML = `<div class="result-details-loading">${escapeHtml(t('comparingAreas', areas.length))}</div>`;
+
+  try {
+    const response = await sendMessage(MessageTypes.COMPARE_AREAS, {
+      ...searchInput,
+      areas,
+      radius: Math.round(getRadiusKm() * 1000),
+      algorithm: state.algorithm,
+      tiled: state.searchByCategory && elements.tilingToggle.checked,
+      maxApiCalls: parseInt(elements.maxApiCalls.value) || undefined,
+      bypassCache: elements.bypassCache.checked,
+      scoringParams: getScoringParams(state.algorithm),
+      filters: getFilters()
+    });
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    renderComparison(response.data);
+  } catch (error) {
+    elements.compareResults.innerHTML = `<div class="result-details-error">${escapeHtml(error.message || t('errorCompareFailed'))}</div>`;
+  } finally {
+    elements.compareRun.disabled = false;
+  }
+}
+
+// Side-by-side columns of area statistics, with the leader of each row highlighted
+function renderComparison({ areas, histogramEdges }) {
+  const succeeded = areas.filter(area => !area.error);
+  const leader = (key) => Math.max(...succeeded.map(area => area[key] ?? -Infinity));
+  const bestPrior = leader('priorMean');
+  const bestMedian = leader('medianScore');
+  const bestCount = leader('count');
+  const tallestBin = Math.max(1, ...succeeded.flatMap(area => area.histogram));
+  const formatScore = (score) => typeof score === 'number' ? formatter.decimal(score, 2) : '–';
+
+  const binTitle = (index) => histogramEdges.length > 0
+    ? `${formatScore(histogramEdges[index])}–${formatScore(histogramEdges[index + 1])}`
+    : '';
+
+  elements.compareResults.innerHTML = `
+    <div class="compare-grid">
+      ${areas.map(area => area.error ? `
+        <div class="compare-column">
+          <span class="compare-label">${escapeHtml(area.label)}</span>
+          <div class="result-details-error">${escapeHtml(area.error)}</div>
+        </div>
+      ` : `
+        <div class="compare-column">
+          <span class="compare-label">${escapeHtml(area.label)}</span>
+          <div class="compare-stat${area.count === bestCount ? ' compare-leader' : ''}">
+            <span class="compare-stat-label">${escapeHtml(t('statPlaces'))}</span>
+            <span class="compare-stat-value">${formatter.number(area.count)}</span>
+          </div>
+          <div class="compare-stat${area.priorMean === bestPrior ? ' compare-leader' : ''}">
+            <span class="compare-stat-label">${escapeHtml(t('statAreaAverage'))}</span>
+            <span class="compare-stat-value">${formatScore(area.priorMean)}</span>
+          </div>
+          <div class="compare-stat${area.medianScore === bestMedian ? ' compare-leader' : ''}">
+            <span class="compare-stat-label">${escapeHtml(t('statMedianScore'))}</span>
+            <span class="compare-stat-value">${formatScore(area.medianScore)}</span>
+          </div>
+          <div class="compare-stat">
+            <span class="compare-stat-label">${escapeHtml(t('statBest'))}</span>
+            ${area.best ? `
+              <a class="compare-best" href="https://www.google.com/maps/place/?q=place_id:${encodeURIComponent(area.best.placeId)}" target="_blank" rel="noopener noreferrer">${escapeHtml(area.best.name)}</a>
+              <span class="compare-best-meta">&#9733; ${formatter.decimal(area.best.rating, 1)} · ${formatter.number(area.best.reviewCount)}</span>
+            ` : '<span class="compare-stat-value">–</span>'}
+          </div>
+          <div class="compare-histogram" title="${escapeHtml(t('scoreDistribution'))}">
+            ${area.histogram.map((count, index) => `
+              <span class="compare-bar" data-height="${Math.round((count / tallestBin) * 100)}" title="${binTitle(index)}: ${count}"></span>
+            `).join('')}
+          </div>
+        </div>
+      `).join('')}
+    </div>
+    ${histogramEdges.length > 0 ? `<p class="compare-axis">${escapeHtml(t('scoreRange', [formatScore(histogramEdges[0]), formatScore(histogramEdges[histogramEdges.length - 1])]))}</p>` : ''}
+  `;
+
+  // Sizes go through the CSSOM because the CSP blocks inline style attributes
+  elements.compareResults.querySelector('.compare-grid').style.gridTemplateColumns = `repeat(${areas.length}, minmax(0, 1fr))`;
+  elements.compareResults.querySelectorAll('.compare-bar').forEach(bar => {
+    bar.style.height = `${bar.dataset.height}%`;
+  });
+}
+
+// Show or hide the export format menu
+function toggleExportMenu() {
+  const opening = elements.exportOptions.classList.contains('hidden');
+
+  if (opening) {
+    elements.exportOptions.innerHTML = Object.entries(EXPORT_FORMATS).map(([format, definition]) => `
+      <button class="export-option" data-format="${escapeHtml(format)}">${escapeHtml(definition.label)}</button>
+    `).join('');
+  }
+
+  elements.exportOptions.classList.toggle('hidden', !opening);
+  elements.exportToggle.setAttribute('aria-expanded', String(opening));
+}
+
+// Download the results on screen in the chosen format
+function exportResults(format) {
+  const current = state.currentSearch;
+  if (!current?.results) return;
+
+  const file = buildExport(format, current.results, current.searchParams, { units: state.units });
+
+  const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  elements.exportOptions.classList.add('hidden');
+  elements.exportToggle.setAttribute('aria-expanded', 'false');
+}
+
+// Read the filter controls
+function getFilters() {
+  return {
+    openNow: elements.filterOpenNow.checked,
+    maxPriceLevel: elements.filterPrice.value ? parseInt(elements.filterPrice.value) : null,
+    minRating: elements.filterRating.value ? parseFloat(elements.filterRating.value) : null,
+    minReviews: parseInt(elements.filterMinReviews.value) || null
+  };
+}
+
+// Restore the filter controls
+function setFilters(filters) {
+  elements.filterOpenNow.checked = !!filters.openNow;
+  elements.filterPrice.value = filters.maxPriceLevel || '';
+  elements.filterRating.value = filters.minRating || '';
+  elements.filterMinReviews.value = filters.minReviews || '';
+}
+
+// "5 km from Paris", or "Along Paris → Lyon" for route searches
+function describeSearchArea(searchParams) {
+  return searchParams.route
+    ? t('alongRoute', searchParams.location)
+    : t('distanceFrom', [formatter.distance(Number(searchParams.radiusKm)), searchParams.location]);
+}
+
+// Read the travel-time controls
+function getTravel() {
+  return {
+    mode: elements.travelMode.value || null,
+    maxMinutes: parseInt(elements.travelMaxMinutes.value) || null,
+    use: elements.travelUse.value
+  };
+}
+
+// Restore the travel-time controls
+function setTravel(travel) {
+  elements.travelMode.value = travel.mode || '';
+  elements.travelMaxMinutes.value = travel.maxMinutes || '';
+  elements.travelUse.value = travel.use === 'blend' ? 'blend' : 'filter';
+}
+
+// Short summary of the travel-time settings for the results header
+function describeTravel(travel) {
+  const { mode, maxMinutes, use } = normalizeTravel(travel);
+  if (!mode) return '';
+
+  const modeLabel = t(`travel${mode[0].toUpperCase()}${mode.slice(1)}`);
+  if (maxMinutes === null) return t('travelShown', modeLabel);
+  return t(use === 'blend' ? 'travelBlended' : 'travelWithin', [modeLabel, formatter.number(maxMinutes)]);
+}
+
+// Short summary of active filters for the results header
+function describeFilters(filters) {
+  if (!filters) return '';
+
+  const parts = [];
+  if (filters.openNow) parts.push(t('openNow'));
+  if (filters.maxPriceLevel) parts.push(t('priceOrLess', '$'.repeat(filters.maxPriceLevel)));
+  if (filters.minRating) parts.push(t('starsMin', formatter.decimal(filters.minRating, 1)));
+  if (filters.minReviews) parts.push(t('reviewsMin', formatter.number(filters.minReviews)));
+  return parts.join(' · ');
+}
+
 // Show specific section
 function showSection(section) {
   elements.apiKeySection.classList.add('hidden');
+  elements.usageSection.classList.add('hidden');
+  elements.localeSection.classList.add('hidden');
+  elements.scoringSection.classList.add('hidden');
   elements.searchSection.classList.add('hidden');
   elements.loadingSection.classList.add('hidden');
   elements.resultsSection.classList.add('hidden');
+  elements.favoritesSection.classList.add('hidden');
+  elements.historySection.classList.add('hidden');
+  elements.compareSection.classList.add('hidden');
   elements.errorSection.classList.add('hidden');
 
   switch (section) {
@@ -480,11 +1897,87 @@ function showSection(section) {
     case 'results':
       elements.resultsSection.classList.remove('hidden');
       break;
+    case 'favorites':
+      elements.favoritesSection.classList.remove('hidden');
+      break;
+    case 'history':
+      elements.historySection.classList.remove('hidden');
+      break;
+    case 'compare':
+      elements.compareSection.classList.remove('hidden');
+      break;
     case 'error':
       elements.errorSection.classList.remove('hidden');
       elements.searchSection.classList.remove('hidden');
       break;
   }
+
+  currentSection = section;
+  if (isPanel && dockedLayout.matches && section !== 'api-key') {
+    elements.searchSection.classList.remove('hidden');
+  }
+}
+
+// Move this search to the side panel, where it stays open while browsing
+function openSidePanel() {
+  shareSession({ draft: getFormPreferences() });
+  chrome.sidePanel.open({ windowId: currentWindowId })
+    .then(() => window.close())
+    .catch(error => showError(error.message));
+}
+
+// Send view state to the service worker, which passes it to the other view
+// (debounced while typing or dragging a slider)
+function shareSession(changes, { debounce = false } = {}) {
+  Object.assign(pendingSessionChanges, changes);
+  clearTimeout(shareSessionTimeout);
+
+  const send = () => {
+    const payload = { viewId, changes: pendingSessionChanges };
+    pendingSessionChanges = {};
+    sendMessage(MessageTypes.UPDATE_SESSION, payload).catch(() => {});
+  };
+
+  if (debounce) {
+    shareSessionTimeout = setTimeout(send, 300);
+  } else {
+    send();
+  }
+}
+
+// Get the state last shared by either view
+async function getSharedSession() {
+  try {
+    const response = await sendMessage(MessageTypes.GET_SESSION);
+    return response.data || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Follow a search, form or scoring change made in the other view
+function applySessionChanges({ search, draft, scoringParams }) {
+  // Leave the form alone while someone is typing in this view
+  if (draft && !document.hasFocus()) {
+    applyFormPreferences(draft);
+  }
+
+  // The results that come with it were already re-ranked by the other view
+  if (scoringParams) {
+    state.scoringParams = scoringParams;
+    if (!elements.scoringSection.classList.contains('hidden')) {
+      renderScoringPanel();
+    }
+  }
+
+  if (search) {
+    state.currentSearch = search;
+    state.typeFilter = null;
+    // Don't pull this view away from favorites, history or a search in progress
+    if (currentSection === 'search' || currentSection === 'results') {
+      displayResults(search.results, search.searchParams, search.meta);
+    }
+  }
 }
 
 // Show error
@@ -497,45 +1990,366 @@ function showError(message) {
 function toggleSettings() {
   if (elements.apiKeySection.classList.contains('hidden')) {
     elements.apiKeySection.classList.remove('hidden');
+    elements.usageSection.classList.remove('hidden');
+    elements.localeSection.classList.remove('hidden');
+    elements.scoringSection.classList.remove('hidden');
+    renderUsage();
+    renderLocaleSettings();
+    renderScoringPanel();
   } else {
     elements.apiKeySection.classList.add('hidden');
+    elements.usageSection.classList.add('hidden');
+    elements.localeSection.classList.add('hidden');
+    elements.scoringSection.classList.add('hidden');
+  }
+}
+
+// Build scoring sliders from the shared and per-algorithm parameters
+function renderScoringPanel() {
+  const groups = [
+    { id: '', label: t('allAlgorithms'), params: SHARED_PARAMS },
+    ...listAlgorithms().map(algo => ({ ...algo, label: getAlgorithmLabel(algo.id) }))
+  ];
+
+  elements.scoringParams.innerHTML = groups
+    .filter(group => group.params.length > 0)
+    .map(group => {
+      const values = getScoringParams(group.id || state.algorithm);
+      return `
+        <div class="scoring-group${group.id === state.algorithm ? ' active' : ''}">
+          <span class="scoring-group-label">${escapeHtml(group.label)}</span>
+          ${group.params.map(param => `
+            <div class="scoring-param">
+              <div class="scoring-param-header">
+                <span>${escapeHtml(getParamLabel(group.id, param))}</span>
+                <span class="scoring-param-value" data-value-for="${escapeHtml(group.id)}:${escapeHtml(param.key)}">${formatParamValue(param, values[param.key])}</span>
+              </div>
+              ${param.options ? `
+                <select data-algorithm="${escapeHtml(group.id)}" data-param="${escapeHtml(param.key)}">
+                  ${param.options.map(option => `
+                    <option value="${escapeHtml(option.value)}"${option.value === values[param.key] ? ' selected' : ''}>${escapeHtml(getOptionLabel(option))}</option>
+                  `).join('')}
+                </select>
+              ` : `
+                <input type="range"
+                       data-algorithm="${escapeHtml(group.id)}"
+                       data-param="${escapeHtml(param.key)}"
+                       min="${param.min}" max="${param.max}" step="${param.step}"
+                       value="${values[param.key]}">
+              `}
+            </div>
+          `).join('')}
+        </div>
+      `;
+    }).join('');
+}
+
+// Handle a scoring slider change: store it and re-rank the visible results
+function handleScoringInput(e) {
+  const control = e.target.closest('[data-param]');
+  if (!control) return;
+
+  const { algorithm, param: key } = control.dataset;
+  const value = control.tagName === 'SELECT' ? control.value : parseFloat(control.value);
+
+  if (algorithm) {
+    state.scoringParams[algorithm] = { ...state.scoringParams[algorithm], [key]: value };
+  } else {
+    state.scoringParams[key] = value;
+  }
+
+  const params = algorithm ? getAlgorithm(algorithm).params : SHARED_PARAMS;
+  const descriptor = params.find(param => param.key === key);
+  const label = elements.scoringParams.querySelector(`[data-value-for="${algorithm}:${key}"]`);
+  if (label) label.textContent = formatParamValue(descriptor, value);
+
+  rerankCurrentResults();
+  saveScoringParams();
+  shareSession({ scoringParams: state.scoringParams }, { debounce: true });
+}
+
+// Restore every scoring parameter to its default
+function resetScoringParams() {
+  state.scoringParams = {};
+  renderScoringPanel();
+  rerankCurrentResults();
+  saveScoringParams();
+  shareSession({ scoringParams: state.scoringParams });
+}
+
+// Shared parameters merged with one algorithm's parameters
+function getScoringParams(algorithm) {
+  const defaults = [...SHARED_PARAMS, ...(getAlgorithm(algorithm)?.params || [])]
+    .reduce((values, param) => ({ ...values, [param.key]: param.default }), {});
+
+  const shared = SHARED_PARAMS
+    .filter(param => state.scoringParams[param.key] !== undefined)
+    .reduce((values, param) => ({ ...values, [param.key]: state.scoringParams[param.key] }), {});
+
+  return {
+    ...defaults,
+    ...shared,
+    ...state.scoringParams[algorithm]
+  };
+}
+
+// Format a parameter value for its slider label
+function formatParamValue(param, value) {
+  if (param.options) {
+    const option = param.options.find(option => option.value === value);
+    return escapeHtml(option ? getOptionLabel(option) : '');
+  }
+  if (param.autoValue !== undefined && value === param.autoValue) {
+    return escapeHtml(t('auto'));
+  }
+  if (param.distance) {
+    return escapeHtml(formatter.distance(Number(value)));
+  }
+  return param.step < 1 ? formatter.decimal(Number(value), 2) : formatter.number(value);
+}
+
+// Re-score the places already fetched, without another API call
+function rerankCurrentResults() {
+  const current = state.currentSearch;
+  if (!current?.places || elements.resultsSection.classList.contains('hidden')) return;
+
+  const { algorithm } = current.searchParams;
+  const places = state.typeFilter
+    ? current.places.filter(place => place.primaryType === state.typeFilter)
+    : current.places;
+  // Travel times were fetched with the search, so the limit applies as it did then
+  const travel = current.meta?.travelError ? null : normalizeTravel(current.searchParams.travel);
+  const results = rankPlaces(places, algorithm, getScoringParams(algorithm), { travel });
+  current.results = results;
+
+  renderResults(results, current.searchParams, current.meta);
+  saveLastResults({
+    request: current.request,
+    results,
+    places: current.places,
+    searchParams: current.searchParams,
+    ...current.meta
+  });
+  shareSession({ search: current }, { debounce: true });
+}
+
+// Persist scoring parameters (debounced while a slider is dragged)
+function saveScoringParams() {
+  clearTimeout(saveScoringTimeout);
+  saveScoringTimeout = setTimeout(async () => {
+    const prefs = await getPreferences();
+    savePreferences({ ...prefs, scoringParams: state.scoringParams });
+  }, 300);
+}
+
+// Render API usage meter and budget
+async function renderUsage() {
+  const { today, month, budget } = await getUsageSummary();
+
+  elements.usageMonthCost.textContent = formatUsd(month.cost);
+  elements.usageMonthCalls.textContent = formatter.count('callCount', month.calls);
+  elements.usageTodayCost.textContent = formatUsd(today.cost);
+  elements.usageTodayCalls.textContent = formatter.count('callCount', today.calls);
+  elements.usageMonthCost.classList.toggle('over-budget', budget !== null && month.cost >= budget);
+  elements.budgetInput.value = budget !== null ? budget : '';
+
+  elements.usageBreakdown.innerHTML = month.lines.length > 0
+    ? month.lines.map(line => `
+      <li>
+        <span>${escapeHtml(getSkuLabel(line.sku))} <span class="usage-tier">${escapeHtml(line.tier)}</span></span>
+        <span>${formatter.number(line.calls)} · ${formatUsd(line.cost)}</span>
+      </li>
+    `).join('')
+    : `<li class="usage-empty">${escapeHtml(t('noUsage'))}</li>`;
+}
+
+// Save monthly budget
+async function handleSaveBudget() {
+  const value = elements.budgetInput.value.trim();
+  const budget = value === '' ? null : parseFloat(value);
+
+  if (budget !== null && (isNaN(budget) || budget < 0)) {
+    showError(t('errorBudgetInvalid'));
+    return;
   }
+
+  await saveUsageBudget(budget);
+  renderUsage();
+}
+
+// Format a USD amount
+function formatUsd(amount) {
+  return formatter.number(amount, { style: 'currency', currency: 'USD' });
+}
+
+// Show the saved language and region in settings
+async function renderLocaleSettings() {
+  const { language, region, units } = await getLocaleSettings();
+  elements.localeLanguage.value = language;
+  elements.localeRegion.value = region;
+  elements.localeUnits.value = units;
+}
+
+// Save the language and region for Places results, and the distance units
+async function handleSaveLocale() {
+  const region = elements.localeRegion.value.trim().toUpperCase();
+
+  if (region && !/^[A-Z]{2}$/.test(region)) {
+    showError(t('errorRegionInvalid'));
+    return;
+  }
+
+  await saveLocaleSettings({ language: elements.localeLanguage.value, region, units: elements.localeUnits.value });
+  await applyLocale();
+  renderLocaleSettings();
+  renderUsage();
+  renderScoringPanel();
+
+  // Numbers and distances on screen switch right away; names follow on the next search
+  const current = state.currentSearch;
+  if (current?.results && !elements.resultsSection.classList.contains('hidden')) {
+    renderResults(current.results, current.searchParams, current.meta);
+  }
+}
+
+// Load the locale and units preference and reformat the static form options
+async function applyLocale() {
+  // Keep the same radius when the slider switches units
+  const radiusKm = getRadiusKm();
+
+  state.locale = await getPlacesLocale();
+  state.units = await getUnits();
+  formatter = getFormatter(state.locale.tag, state.units);
+
+  const { min, max, step } = getRadiusRange(state.units);
+  Object.assign(elements.radiusSlider, { min, max, step });
+  setRadiusKm(radiusKm);
+
+  document.querySelectorAll('[data-i18n-price]').forEach(option => {
+    option.textContent = t('priceOrLess', '$'.repeat(Number(option.dataset.i18nPrice)));
+  });
+  document.querySelectorAll('[data-i18n-stars-min]').forEach(option => {
+    option.textContent = t('starsMin', formatter.decimal(Number(option.dataset.i18nStarsMin), 1));
+  });
+  document.querySelectorAll('[data-i18n-stars]').forEach(option => {
+    option.textContent = t('starsValue', formatter.decimal(Number(option.dataset.i18nStars), 1));
+  });
+  document.querySelectorAll('[data-i18n-hours]').forEach(option => {
+    option.textContent = formatter.count('hourCount', Number(option.dataset.i18nHours));
+  });
+}
+
+// Radius in km from the slider, which is in the user's units
+function getRadiusKm() {
+  return Math.min(toKm(parseFloat(elements.radiusSlider.value), state.units), CONFIG.MAX_RADIUS_KM);
+}
+
+// Move the slider to the step nearest a radius in km
+function setRadiusKm(km) {
+  elements.radiusSlider.value = snapRadius(km, state.units);
+  updateRadiusLabel();
+}
+
+function updateRadiusLabel() {
+  elements.radiusValue.textContent = formatter.distance(getRadiusKm());
 }
 
 // Load saved preferences
 async function loadPreferences() {
   const prefs = await getPreferences();
   if (prefs) {
-    if (prefs.searchByCategory !== undefined) {
-      toggleSearchMode(prefs.searchByCategory);
-    }
-    if (prefs.lastCategory && prefs.searchByCategory) {
-      elements.categorySelect.value = prefs.lastCategory;
-    }
-    if (prefs.lastBusinessType && !prefs.searchByCategory) {
-      elements.businessType.value = prefs.lastBusinessType;
-    }
-    if (prefs.radius) {
-      elements.radiusSlider.value = prefs.radius;
-      elements.radiusValue.textContent = prefs.radius;
-    }
-    if (prefs.useCurrentLocation !== undefined) {
-      toggleLocation(prefs.useCurrentLocation);
-    }
-    if (prefs.lastCustomLocation && !prefs.useCurrentLocation) {
-      elements.customLocation.value = prefs.lastCustomLocation;
-    }
-    if (prefs.algorithm) {
-      toggleAlgorithm(prefs.algorithm);
+    applyFormPreferences(prefs);
+  }
+}
+
+// Search form settings, in the shape saved as preferences and shared between views
+function getFormPreferences() {
+  const customLocation = elements.customLocation.value;
+
+  return {
+    searchByCategory: state.searchByCategory,
+    lastCategory: state.searchByCategory ? state.selectedType : null,
+    lastBusinessType: !state.searchByCategory ? elements.businessType.value.trim() : null,
+    radius: getRadiusKm(),
+    useCurrentLocation: state.useCurrentLocation,
+    lastCustomLocation: state.useCurrentLocation ? '' : customLocation,
+    lastCustomPlaceId: !state.useRoute && !state.useCurrentLocation && selectedPlace?.fullText === customLocation ? selectedPlace.placeId : null,
+    useRoute: state.useRoute,
+    routeOrigin: elements.routeOrigin.value,
+    routeDestination: elements.routeDestination.value,
+    algorithm: state.algorithm,
+    tiled: elements.tilingToggle.checked,
+    maxApiCalls: elements.maxApiCalls.value,
+    scoringParams: state.scoringParams,
+    filters: getFilters(),
+    travel: getTravel(),
+    includedTypes: state.includedTypes,
+    excludedTypes: state.excludedTypes,
+    excludePrimaryOnly: elements.excludePrimaryOnly.checked
+  };
+}
+
+// Fill in the search form from saved preferences or the other view's form
+function applyFormPreferences(prefs) {
+  if (prefs.searchByCategory !== undefined) {
+    toggleSearchMode(prefs.searchByCategory);
+  }
+  if (prefs.lastCategory && prefs.searchByCategory && isPlaceType(prefs.lastCategory)) {
+    selectType(prefs.lastCategory);
+  }
+  if (prefs.lastBusinessType && !prefs.searchByCategory) {
+    elements.businessType.value = prefs.lastBusinessType;
+  }
+  if (prefs.radius) {
+    setRadiusKm(Number(prefs.radius));
+  }
+  if (prefs.useCurrentLocation !== undefined) {
+    toggleLocation(prefs.useCurrentLocation);
+  }
+  if (prefs.useRoute) {
+    elements.routeOrigin.value = prefs.routeOrigin || '';
+    elements.routeDestination.value = prefs.routeDestination || '';
+    toggleRoute();
+  }
+  if (prefs.lastCustomLocation && !prefs.useCurrentLocation) {
+    elements.customLocation.value = prefs.lastCustomLocation;
+    if (prefs.lastCustomPlaceId) {
+      selectedPlace = { placeId: prefs.lastCustomPlaceId, fullText: prefs.lastCustomLocation };
     }
   }
+  if (prefs.algorithm) {
+    toggleAlgorithm(prefs.algorithm);
+  }
+  if (prefs.scoringParams) {
+    state.scoringParams = prefs.scoringParams;
+  }
+  if (prefs.filters) {
+    setFilters(prefs.filters);
+  }
+  if (prefs.travel) {
+    setTravel(prefs.travel);
+  }
+  if (prefs.tiled !== undefined) {
+    toggleTiling(prefs.tiled);
+  }
+  if (prefs.maxApiCalls) {
+    elements.maxApiCalls.value = prefs.maxApiCalls;
+  }
+  if (prefs.includedTypes) {
+    state.includedTypes = prefs.includedTypes;
+  }
+  if (prefs.excludedTypes) {
+    state.excludedTypes = prefs.excludedTypes;
+  }
+  elements.excludePrimaryOnly.checked = !!prefs.excludePrimaryOnly;
+  renderSearchTypes();
 }
 
-// Escape HTML
+// Escape HTML (quotes too, since the result is also used inside attributes)
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // Autocomplete input handler (debounced)
@@ -553,10 +2367,18 @@ function handleAutocompleteInput() {
     return;
   }
 
+  // Start a new billing session on the first keystroke after a search
+  if (!autocompleteSessionToken) {
+    autocompleteSessionToken = crypto.randomUUID();
+  }
+
   // Debounce API calls (300ms)
   autocompleteTimeout = setTimeout(async () => {
     try {
-      const response = await sendMessage(MessageTypes.AUTOCOMPLETE, { input });
+      const response = await sendMessage(MessageTypes.AUTOCOMPLETE, {
+        input,
+        sessionToken: autocompleteSessionToken
+      });
 
       if (response.data && response.data.length > 0) {
         showAutocompleteSuggestions(response.data);
@@ -575,7 +2397,7 @@ function showAutocompleteSuggestions(suggestions) {
   selectedAutocompleteIndex = -1;
 
   elements.autocompleteDropdown.innerHTML = suggestions.map((s, i) => `
-    <div class="autocomplete-item" data-index="${i}" data-place-id="${s.placeId}" data-full-text="${escapeHtml(s.fullText)}">
+    <div class="autocomplete-item" data-index="${i}" data-place-id="${escapeHtml(s.placeId)}" data-full-text="${escapeHtml(s.fullText)}">
       <div class="autocomplete-main">${escapeHtml(s.mainText)}</div>
       ${s.secondaryText ? `<div class="autocomplete-secondary">${escapeHtml(s.secondaryText)}</div>` : ''}
     </div>
@@ -637,6 +2459,7 @@ function updateAutocompleteSelection(items) {
 function selectAutocompleteItem(item) {
   const fullText = item.dataset.fullText;
   elements.customLocation.value = fullText;
+  selectedPlace = { placeId: item.dataset.placeId, fullText: elements.customLocation.value };
   hideAutocomplete();
 }
 
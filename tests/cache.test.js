@@ -0,0 +1,121 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// chrome.storage.local stand-in that can refuse writes over a size limit
+const storage = {};
+let quotaBytes = Infinity;
+globalThis.chrome = {
+  runtime: { lastError: null },
+  storage: {
+    local: {
+      get: (keys, callback) => callback(Object.fromEntries([keys].flat().map(key => [key, structuredClone(storage[key])]))),
+      set: (items, callback) => {
+        if (JSON.stringify(items).length > quotaBytes) {
+          chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' };
+          callback();
+          chrome.runtime.lastError = null;
+          return;
+        }
+        Object.assign(storage, structuredClone(items));
+        callback();
+      }
+    }
+  }
+};
+
+const { withCache, buildCacheKey } = await import('../utils/cache.js');
+const { CONFIG } = await import('../config/constants.js');
+
+const CACHE_KEY = 'maps_finder_response_cache';
+const INDEX_KEY = 'maps_finder_response_cache_index';
+
+function cachedKeys(endpoint) {
+  return Object.keys(storage[CACHE_KEY] || {}).filter(key => key.startsWith(`${endpoint}:`));
+}
+
+beforeEach(() => {
+  Object.keys(storage).forEach(key => delete storage[key]);
+  quotaBytes = Infinity;
+});
+
+test('equivalent requests normalize to the same key', () => {
+  assert.equal(
+    buildCacheKey('search', { query: '  Vegan   Pizza ', location: { lng: -3.703812, lat: 40.416775 }, unused: undefined }),
+    buildCacheKey('search', { location: { lat: 40.41679, lng: -3.70379 }, query: 'vegan pizza' })
+  );
+  // Place IDs keep their case, other strings don't
+  assert.notEqual(buildCacheKey('placeDetails', { placeId: 'ChIJabc' }), buildCacheKey('placeDetails', { placeId: 'chijabc' }));
+  assert.notEqual(buildCacheKey('search', { query: 'pizza' }), buildCacheKey('geocode', { query: 'pizza' }));
+});
+
+test('a hit returns the stored value and only rewrites the recency index', async () => {
+  let calls = 0;
+  const fetcher = async () => ++calls;
+
+  const first = await withCache('geocode', { query: 'Madrid' }, fetcher);
+  const cacheBefore = storage[CACHE_KEY];
+  const second = await withCache('geocode', { query: ' madrid ' }, fetcher);
+
+  assert.deepEqual([first.fromCache, second.fromCache, second.value, calls], [false, true, 1, 1]);
+  assert.equal(storage[CACHE_KEY], cacheBefore, 'cached responses are not rewritten');
+  assert.ok(storage[INDEX_KEY][buildCacheKey('geocode', { query: 'Madrid' })] >= second.cachedAt);
+});
+
+test('expired entries are fetched again and dropped', async () => {
+  await withCache('route', { from: 'a' }, async () => 'old');
+  const key = buildCacheKey('route', { from: 'a' });
+  storage[CACHE_KEY][key].expiresAt = Date.now() - 1;
+
+  const result = await withCache('route', { from: 'a' }, async () => 'new');
+  assert.equal(result.fromCache, false);
+  assert.equal(storage[CACHE_KEY][key].value, 'new');
+
+  // Writing anything else also clears expired entries
+  storage[CACHE_KEY][key].expiresAt = Date.now() - 1;
+  await withCache('route', { from: 'b' }, async () => 'b');
+  assert.deepEqual(cachedKeys('route'), [buildCacheKey('route', { from: 'b' })]);
+});
+
+test('each endpoint evicts its own least recently used entries', async () => {
+  const limit = CONFIG.CACHE.MAX_ENTRIES.route;
+  await withCache('geocode', { query: 'Madrid' }, async () => 'geocoded');
+  for (let i = 0; i < limit; i++) {
+    await withCache('route', { i }, async () => i);
+  }
+  // Using the oldest entry makes the second one the least recently used
+  assert.equal((await withCache('route', { i: 0 }, async () => -1)).fromCache, true);
+  await withCache('route', { i: limit }, async () => limit);
+
+  const keys = cachedKeys('route');
+  assert.equal(keys.length, limit);
+  assert.ok(keys.includes(buildCacheKey('route', { i: 0 })));
+  assert.ok(!keys.includes(buildCacheKey('route', { i: 1 })));
+  assert.deepEqual(cachedKeys('geocode'), [buildCacheKey('geocode', { query: 'Madrid' })]);
+});
+
+test('the cache stays under its byte budget', async () => {
+  const oneMegabyte = 'x'.repeat(1024 * 1024);
+  for (let i = 0; i < 5; i++) {
+    await withCache('search', { i }, async () => oneMegabyte);
+  }
+
+  const keys = cachedKeys('search');
+  assert.equal(keys.length, Math.floor(CONFIG.CACHE.MAX_BYTES / oneMegabyte.length));
+  assert.ok(keys.includes(buildCacheKey('search', { i: 4 })), 'the newest entry is kept');
+  assert.ok(JSON.stringify(storage[CACHE_KEY]).length <= CONFIG.CACHE.MAX_BYTES + 1024);
+});
+
+test('a write over the storage quota evicts more entries and retries', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const halfMegabyte = 'x'.repeat(512 * 1024);
+  for (let i = 0; i < 4; i++) {
+    await withCache('search', { i }, async () => halfMegabyte);
+  }
+
+  quotaBytes = 2.5 * 1024 * 1024;
+  await withCache('search', { i: 4 }, async () => halfMegabyte);
+
+  const size = JSON.stringify(storage[CACHE_KEY]).length;
+  assert.ok(size <= CONFIG.CACHE.MAX_BYTES / 2 + 1024, `cache shrank to ${size} bytes`);
+  assert.ok(cachedKeys('search').includes(buildCacheKey('search', { i: 4 })));
+});
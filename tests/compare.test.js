@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeArea, buildHistograms } from '../utils/compare.js';
+
+test('summarizeArea reports the review-weighted prior, median score and best place', () => {
+  const places = [
+    { id: 'a', rating: 4.8, userRatingCount: 100 },
+    { id: 'b', rating: 4.0, userRatingCount: 300 },
+    { id: 'c', rating: 4.4, userRatingCount: 100 }
+  ];
+  const scored = [{ bayesianScore: 4.6 }, { bayesianScore: 4.1 }, { bayesianScore: 4.3 }, { bayesianScore: 3.9 }];
+  const results = [{ placeId: 'a', name: 'A', rating: 4.8, reviewCount: 100, bayesianScore: 4.6 }];
+
+  const summary = summarizeArea(places, scored, results);
+  assert.equal(summary.count, 3);
+  assert.ok(Math.abs(summary.priorMean - (4.8 * 100 + 4.0 * 300 + 4.4 * 100) / 500) < 1e-9);
+  assert.ok(Math.abs(summary.medianScore - 4.2) < 1e-9, 'even counts average the middle pair');
+  assert.deepEqual(summary.best, { placeId: 'a', name: 'A', rating: 4.8, reviewCount: 100, score: 4.6 });
+});
+
+test('summarizeArea handles an area with no matches', () => {
+  assert.deepEqual(summarizeArea([], [], []), { count: 0, priorMean: null, medianScore: null, best: null, scores: [] });
+});
+
+test('buildHistograms bins every area over the same range', () => {
+  const { edges, counts } = buildHistograms([[1, 2, 2.5], [3, 5]], 4);
+
+  assert.deepEqual(edges, [1, 2, 3, 4, 5]);
+  // The maximum falls in the last bin
+  assert.deepEqual(counts, [[1, 2, 0, 0], [0, 0, 1, 1]]);
+});
+
+test('buildHistograms copes with empty and single-valued data', () => {
+  assert.deepEqual(buildHistograms([[], []], 3), { edges: [], counts: [[], []] });
+
+  const { counts } = buildHistograms([[4.2, 4.2]], 3);
+  assert.deepEqual(counts, [[2, 0, 0]]);
+});
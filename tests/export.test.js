@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildExport } from '../utils/export.js';
+
+const searchParams = { algorithm: 'bayesian', searchQuery: 'coffee', searchMode: 'text', location: 'Madrid', radiusKm: 2 };
+
+function csvCells(results, params = searchParams) {
+  const { content } = buildExport('csv', results, params, { exportedAt: new Date('2026-10-19T12:00:00Z') });
+  const [, row] = content.replace('\uFEFF', '').trim().split('\r\n');
+  return row;
+}
+
+test('CSV export neutralizes cells that spreadsheets would run as formulas', () => {
+  const row = csvCells([{
+    placeId: 'ChIJabc',
+    name: '=HYPERLINK("http://example.com","Click")',
+    address: '@SUM(A1:A2)',
+    lat: -33.8688,
+    lng: -151.2093,
+    rating: 4.5,
+    reviewCount: 120,
+    bayesianScore: 4.3,
+    blendedScore: null,
+    distanceKm: '1.2'
+  }]);
+
+  assert.match(row, /^1,ChIJabc,"'=HYPERLINK\(""http:\/\/example\.com"",""Click""\)",-33\.8688,-151\.2093,/);
+  assert.match(row, /,'@SUM\(A1:A2\),/);
+});
+
+test('CSV export leaves ordinary text unchanged', () => {
+  const row = csvCells([{
+    placeId: 'ChIJdef',
+    name: 'Café de Oriente',
+    address: 'Plaza de Oriente, 2, Madrid',
+    lat: 40.4184,
+    lng: -3.7126,
+    rating: 4.6,
+    reviewCount: 2134,
+    bayesianScore: 4.5,
+    blendedScore: null,
+    distanceKm: '0.4'
+  }]);
+
+  assert.match(row, /^1,ChIJdef,Café de Oriente,40\.4184,-3\.7126,4\.6,2134,4\.5,,0\.4,"Plaza de Oriente, 2, Madrid",bayesian,coffee,/);
+});
+
+test('CSV export leaves typed numbers and coordinates unprefixed', () => {
+  const place = {
+    placeId: 'ChIJghi',
+    name: '-5 Degrees Café',
+    address: 'Av. Corrientes 1000',
+    lat: -34.6037,
+    lng: -58.3816,
+    rating: 4.2,
+    reviewCount: 87,
+    bayesianScore: 4.1,
+    blendedScore: null,
+    distanceKm: '0.9'
+  };
+
+  const row = csvCells([place], { ...searchParams, location: '-34.6, -58.4' });
+  assert.match(row, /,"-34\.6, -58\.4"/);
+  assert.match(csvCells([place], { ...searchParams, location: '-34.6' }), /,-34\.6(,|$)/);
+  // Text that only starts like a number is still neutralized
+  assert.match(row, /^1,ChIJghi,'-5 Degrees Café,/);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeFilters, hasActiveFilters, toTextSearchFilters, applyFilters } from '../utils/filters.js';
+
+test('normalizeFilters keeps valid values and drops the rest to null', () => {
+  assert.deepEqual(normalizeFilters(), { openNow: false, maxPriceLevel: null, minRating: null, minReviews: null });
+  assert.deepEqual(
+    normalizeFilters({ openNow: true, maxPriceLevel: '2', minRating: 4.3, minReviews: '50' }),
+    { openNow: true, maxPriceLevel: 2, minRating: 4.3, minReviews: 50 }
+  );
+  assert.deepEqual(
+    normalizeFilters({ openNow: 'yes', maxPriceLevel: 9, minRating: 0, minReviews: '' }),
+    { openNow: false, maxPriceLevel: null, minRating: null, minReviews: null }
+  );
+});
+
+test('hasActiveFilters is true when any filter is set', () => {
+  assert.equal(hasActiveFilters(normalizeFilters()), false);
+  assert.equal(hasActiveFilters(normalizeFilters({ minReviews: 10 })), true);
+  assert.equal(hasActiveFilters(normalizeFilters({ openNow: true })), true);
+});
+
+test('toTextSearchFilters pushes down what Text Search supports', () => {
+  assert.deepEqual(toTextSearchFilters(normalizeFilters()), {});
+  assert.deepEqual(
+    toTextSearchFilters(normalizeFilters({ openNow: true, maxPriceLevel: 2, minRating: 4.3, minReviews: 50 })),
+    { openNow: true, minRating: 4, priceLevels: ['PRICE_LEVEL_INEXPENSIVE', 'PRICE_LEVEL_MODERATE'] }
+  );
+});
+
+test('applyFilters matches exactly and drops places with unknown values', () => {
+  const places = [
+    { id: 'open-cheap', rating: 4.4, userRatingCount: 80, priceLevel: 'PRICE_LEVEL_INEXPENSIVE', currentOpeningHours: { openNow: true } },
+    { id: 'open-pricey', rating: 4.8, userRatingCount: 300, priceLevel: 'PRICE_LEVEL_EXPENSIVE', currentOpeningHours: { openNow: true } },
+    { id: 'closed', rating: 4.6, userRatingCount: 120, priceLevel: 'PRICE_LEVEL_MODERATE', currentOpeningHours: { openNow: false } },
+    { id: 'unknown', rating: 4.5, userRatingCount: 90 }
+  ];
+  const ids = filters => applyFilters(places, normalizeFilters(filters)).map(place => place.id);
+
+  assert.deepEqual(ids({}), ['open-cheap', 'open-pricey', 'closed', 'unknown']);
+  assert.deepEqual(ids({ openNow: true }), ['open-cheap', 'open-pricey']);
+  assert.deepEqual(ids({ maxPriceLevel: 2 }), ['open-cheap', 'closed']);
+  // The API rounds 4.3 down to 4.0; the client-side check is exact
+  assert.deepEqual(ids({ minRating: 4.5 }), ['open-pricey', 'closed', 'unknown']);
+  assert.deepEqual(ids({ minReviews: 100 }), ['open-pricey', 'closed']);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const storage = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: (keys, callback) => callback(Object.fromEntries([keys].flat().map(key => [key, structuredClone(storage[key])]))),
+      set: (items, callback) => {
+        Object.assign(storage, structuredClone(items));
+        callback?.();
+      }
+    }
+  }
+};
+
+const { addHistoryEntry, listHistory, diffRankings } = await import('../utils/history.js');
+const { CONFIG } = await import('../config/constants.js');
+
+const ranking = ids => ids.map(id => ({ placeId: id, name: `Place ${id}` }));
+
+test('diffRankings reports moves, new places and places that dropped out', () => {
+  const { changes, dropped } = diffRankings(ranking(['a', 'b', 'c', 'd']), ranking(['c', 'a', 'e', 'd']));
+
+  assert.deepEqual(changes, {
+    c: { status: 'up', delta: 2 },
+    a: { status: 'down', delta: 1 },
+    e: { status: 'new', delta: 0 },
+    d: { status: 'same', delta: 0 }
+  });
+  assert.deepEqual(dropped, [{ placeId: 'b', name: 'Place b', previousRank: 2 }]);
+});
+
+test('diffRankings against an empty run marks everything new', () => {
+  const { changes, dropped } = diffRankings([], ranking(['a']));
+  assert.deepEqual(changes, { a: { status: 'new', delta: 0 } });
+  assert.deepEqual(dropped, []);
+});
+
+test('addHistoryEntry stores a replayable request, newest first and bounded', async () => {
+  const request = { searchQuery: 'coffee', bypassCache: true, location: { query: 'Madrid', placeId: 'ChIJ', sessionToken: 'token' } };
+  const meta = { candidateCount: 40, matchCount: 30, fromCache: false, cachedAt: null, travelError: null };
+
+  for (let i = 0; i <= CONFIG.SEARCH_HISTORY_MAX_ENTRIES; i++) {
+    await addHistoryEntry({ request: { ...request, radius: i }, searchParams: {}, results: ranking(['a']), meta });
+  }
+  const history = await listHistory();
+
+  assert.equal(history.length, CONFIG.SEARCH_HISTORY_MAX_ENTRIES);
+  assert.equal(history[0].request.radius, CONFIG.SEARCH_HISTORY_MAX_ENTRIES);
+  // Single-use session tokens and the per-run cache flag are not replayed
+  assert.deepEqual(history[0].request.location, { query: 'Madrid', placeId: 'ChIJ' });
+  assert.equal('bypassCache' in history[0].request, false);
+  assert.deepEqual(history[0].meta, { candidateCount: 40, matchCount: 30, fromCache: false, cachedAt: null });
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { findResultsFeed, parsePlaceEntries, parsePlaceKey, parseRatingLabel } from '../content/maps-parser.js';
+
+function loadFixture(name) {
+  return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+function loadPage(name) {
+  return new JSDOM(`<!DOCTYPE html><body><div id="pane">${loadFixture(name)}</div></body>`).window.document;
+}
+
+// Entries without the DOM element, for comparing with plain objects
+function summarize(entries) {
+  return entries.map(({ id, name, rating, reviewCount }) => ({ id, name, rating, reviewCount }));
+}
+
+test('findResultsFeed finds the results list, or null on pages without one', () => {
+  const feed = findResultsFeed(loadPage('maps-results-en.html'));
+  assert.equal(feed.getAttribute('aria-label'), 'Results for coffee');
+
+  const empty = new JSDOM('<!DOCTYPE html><body><div role="main"></div></body>').window.document;
+  assert.equal(findResultsFeed(empty), null);
+});
+
+test('parsePlaceEntries reads English entries once each, in page order', () => {
+  const entries = parsePlaceEntries(findResultsFeed(loadPage('maps-results-en.html')));
+
+  assert.deepEqual(summarize(entries), [
+    { id: 'ChIJbX0i2I6AhYARWl49Hy58W2o', name: 'Blue Bottle Coffee', rating: 4.6, reviewCount: 2134 },
+    { id: '0x808f7e2a3b4c5d6e:0x1f2e3d4c5b6a7980', name: 'Sightglass Coffee', rating: 4.5, reviewCount: 1200 },
+    { id: 'ChIJ9cK0l3qAhYARyz1xN0QzJ2s', name: 'Corner Kiosk', rating: 0, reviewCount: 0 }
+  ]);
+  assert.ok(entries[0].element.classList.contains('Nv2PK'), 'element is the entry container');
+});
+
+test('parsePlaceEntries reads Spanish labels', () => {
+  const entries = parsePlaceEntries(findResultsFeed(loadPage('maps-results-es.html')));
+
+  assert.deepEqual(summarize(entries), [
+    { id: 'ChIJP8MLK34oQg0RN24fK4oMTp0', name: 'Café de Oriente', rating: 4.6, reviewCount: 2134 },
+    { id: '0xd42287f4e1c2b3a:0x5a6b7c8d9e0f1a2b', name: 'Chocolatería San Ginés', rating: 4.2, reviewCount: 1200 },
+    { id: '0xd4228600aabbccd:0x77665544332211ff', name: 'Bar La Esquina', rating: 0, reviewCount: 0 }
+  ]);
+});
+
+test('parsePlaceEntries picks up entries appended by infinite scroll', () => {
+  const feed = findResultsFeed(loadPage('maps-results-en.html'));
+  const before = parsePlaceEntries(feed);
+
+  feed.insertAdjacentHTML('beforeend', loadFixture('maps-results-en-more.html'));
+  const after = parsePlaceEntries(feed);
+
+  assert.deepEqual(after.slice(0, before.length).map(entry => entry.id), before.map(entry => entry.id));
+  assert.deepEqual(summarize(after.slice(before.length)), [
+    { id: 'ChIJN5b8rT5-j4AR0jvRkT1bhsg', name: 'Ritual Coffee Roasters', rating: 4.4, reviewCount: 987 }
+  ]);
+});
+
+test('parsePlaceKey prefers the place ID, then the feature ID', () => {
+  assert.equal(
+    parsePlaceKey('https://www.google.com/maps/place/X/data=!4m7!3m6!1s0xABC:0xDEF!8m2!19sChIJabc-_123?hl=en'),
+    'ChIJabc-_123'
+  );
+  assert.equal(parsePlaceKey('https://www.google.com/maps/place/X/data=!4m7!3m6!1s0xABC:0xDEF!8m2'), '0xabc:0xdef');
+  assert.equal(parsePlaceKey('https://www.google.com/maps/search/coffee'), null);
+});
+
+test('parseRatingLabel handles separators and abbreviated counts', () => {
+  const cases = [
+    ['4.6 stars 2,134 Reviews', 4.6, 2134],
+    ['4.5 stars 1.2K Reviews', 4.5, 1200],
+    ['4,6 estrellas 2.134 reseñas', 4.6, 2134],
+    ['4,2 estrellas 1,2 mil reseñas', 4.2, 1200],
+    ['4,5 étoiles 1 234 avis', 4.5, 1234],
+    ['4,6 Sterne 234 Kritiken', 4.6, 234],
+    ['5.0 stars 3 Reviews', 5, 3],
+    ['4.0 stars', 4, 0],
+    ['No reviews', 0, 0]
+  ];
+
+  for (const [label, rating, reviewCount] of cases) {
+    assert.deepEqual(parseRatingLabel(label), { rating, reviewCount }, label);
+  }
+});
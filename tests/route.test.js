@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.chrome = { runtime: {}, i18n: { getMessage: key => key } };
+
+const { decodePolyline, pathLength } = await import('../utils/route.js');
+const { haversineDistance } = await import('../utils/api.js');
+
+test('decodePolyline decodes the reference polyline', () => {
+  // The worked example from Google's encoded polyline format documentation
+  assert.deepEqual(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@'), [
+    { lat: 38.5, lng: -120.2 },
+    { lat: 40.7, lng: -120.95 },
+    { lat: 43.252, lng: -126.453 }
+  ]);
+  assert.deepEqual(decodePolyline(''), []);
+});
+
+test('decodePolyline rejects truncated input', () => {
+  assert.throws(() => decodePolyline('_p~iF~ps|U_ulL'), { message: 'errorInvalidPolyline' });
+  assert.throws(() => decodePolyline('_p~iF'), { message: 'errorInvalidPolyline' });
+});
+
+test('pathLength adds up the segments', () => {
+  const points = decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+  const expected = haversineDistance(38.5, -120.2, 40.7, -120.95) + haversineDistance(40.7, -120.95, 43.252, -126.453);
+
+  assert.ok(Math.abs(pathLength(points) - expected) < 1e-6);
+  assert.equal(pathLength(points.slice(0, 1)), 0);
+  assert.equal(pathLength([]), 0);
+});
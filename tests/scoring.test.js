@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { listAlgorithms, getAlgorithm, calculateScores, resolveParams, SHARED_PARAMS } from '../utils/bayesian.js';
+
+const place = (id, rating, userRatingCount) => ({ id, rating, userRatingCount });
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} is not ${expected}`);
+}
+
+test('the registry lists every ranker in registration order', () => {
+  assert.deepEqual(listAlgorithms().map(algorithm => algorithm.id), ['bayesian', 'popularity', 'wilson', 'dirichlet']);
+  listAlgorithms().forEach(algorithm => {
+    assert.equal(typeof algorithm.score, 'function');
+    algorithm.params.forEach(param => assert.ok('default' in param, `${algorithm.id}.${param.key} has a default`));
+  });
+  assert.equal(getAlgorithm('missing'), undefined);
+});
+
+test('unknown algorithms fall back to the Bayesian average', () => {
+  const places = [place('a', 4.8, 10), place('b', 4.2, 400)];
+  assert.deepEqual(calculateScores(places, 'missing'), calculateScores(places, 'bayesian'));
+});
+
+test('the Bayesian average pulls thinly reviewed places toward the prior', () => {
+  const [top, second] = calculateScores(
+    [place('new', 5, 2), place('proven', 4.6, 800)],
+    'bayesian',
+    { priorMean: 4, confidenceThreshold: 20 }
+  );
+
+  assert.equal(top.id, 'proven');
+  assertClose(second.bayesianScore, (20 * 4 + 5 * 2) / 22, 'new');
+});
+
+test('the Wilson lower bound matches the closed form and favors more reviews', () => {
+  const [[single], [many]] = [place('single', 5, 1), place('many', 5, 500)]
+    .map(p => calculateScores([p], 'wilson', { z: 1.96 }));
+
+  // p = 1, n = 1: (1 + z²/2 - z·√(z²/4)) / (1 + z²) mapped back to 1-5 stars
+  const z2 = 1.96 ** 2;
+  assertClose(single.bayesianScore, 1 + 4 * ((1 + z2 / 2 - 1.96 * Math.sqrt(z2 / 4)) / (1 + z2)), 'single review');
+  assert.ok(many.bayesianScore > single.bayesianScore);
+  assert.ok(many.bayesianScore < 5);
+});
+
+test('the Dirichlet bound stays below the rating and rises with reviews', () => {
+  const scores = [5, 50, 5000].map(count =>
+    calculateScores([place('p', 4.5, count)], 'dirichlet', { priorWeight: 1, z: 1.65 })[0].bayesianScore
+  );
+
+  assert.ok(scores[0] < scores[1] && scores[1] < scores[2], scores.join(' < '));
+  assert.ok(scores[2] < 4.5 && scores[2] > 4.4);
+});
+
+test('places without ratings or with too few reviews are left out', () => {
+  const scored = calculateScores(
+    [place('unrated', 0, 0), place('few', 4.9, 3), place('enough', 4.1, 30)],
+    'popularity',
+    { minReviews: 10 }
+  );
+  assert.deepEqual(scored.map(p => p.id), ['enough']);
+});
+
+test('resolveParams fills defaults and clamps to each range', () => {
+  const wilson = getAlgorithm('wilson').params;
+  assert.deepEqual(resolveParams(wilson, {}), { z: 1.96 });
+  assert.deepEqual(resolveParams(wilson, { z: 10 }), { z: 3 });
+  assert.deepEqual(resolveParams(wilson, { z: 'abc' }), { z: 1.96 });
+
+  const shared = resolveParams(SHARED_PARAMS, { distanceDecay: 'sideways', minReviews: '25' });
+  assert.equal(shared.distanceDecay, 'off');
+  assert.equal(shared.minReviews, 25);
+});
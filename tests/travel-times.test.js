@@ -0,0 +1,126 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+// Usage metering writes to chrome.storage after every request
+const storage = {};
+globalThis.chrome = {
+  runtime: {},
+  i18n: { getMessage: () => '' },
+  storage: {
+    local: {
+      get: (keys, callback) => callback(Object.fromEntries([keys].flat().map(key => [key, storage[key]]))),
+      set: (items, callback) => {
+        Object.assign(storage, items);
+        callback?.();
+      }
+    }
+  }
+};
+
+const { computeTravelTimes, computeRoute } = await import('../utils/api.js');
+const { rankPlaces } = await import('../utils/ranking.js');
+
+// A local stand-in for the Routes API that records each request
+const requests = [];
+const responses = {
+  '/distanceMatrix/v2:computeRouteMatrix': [
+    { destinationIndex: 1, condition: 'ROUTE_EXISTS', duration: '540s' },
+    { condition: 'ROUTE_EXISTS', duration: '1260s' },
+    { destinationIndex: 2, condition: 'ROUTE_NOT_FOUND' }
+  ],
+  '/directions/v2:computeRoutes': {
+    routes: [{ distanceMeters: 12345, polyline: { encodedPolyline: '_p~iF~ps|U_ulLnnqC' } }]
+  }
+};
+
+const server = createServer((request, response) => {
+  let body = '';
+  request.on('data', chunk => { body += chunk; });
+  request.on('end', () => {
+    requests.push({ url: request.url, headers: request.headers, body: JSON.parse(body) });
+    const payload = responses[request.url];
+    response.writeHead(payload ? 200 : 404, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(payload || { error: { message: 'Not found' } }));
+  });
+});
+let baseUrl;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('computeTravelTimes maps matrix elements back to place IDs', async () => {
+  const times = await computeTravelTimes({
+    origin: { lat: 40.4168, lng: -3.7038 },
+    destinations: [
+      { id: 'near', lat: 40.4200, lng: -3.7000 },
+      { id: 'far', lat: 40.4500, lng: -3.6500 },
+      { id: 'island', lat: 39.5696, lng: 2.6502 }
+    ],
+    travelMode: 'WALK',
+    apiKey: 'test-key',
+    baseUrl
+  });
+
+  // Omitted destinationIndex means 0, places without a route are left out
+  assert.deepEqual(times, { near: 1260, far: 540 });
+
+  const request = requests.at(-1);
+  const waypoint = (latitude, longitude) => ({ waypoint: { location: { latLng: { latitude, longitude } } } });
+  assert.equal(request.url, '/distanceMatrix/v2:computeRouteMatrix');
+  assert.equal(request.headers['x-goog-api-key'], 'test-key');
+  assert.equal(request.headers['x-goog-fieldmask'], 'originIndex,destinationIndex,duration,condition');
+  assert.deepEqual(request.body, {
+    origins: [waypoint(40.4168, -3.7038)],
+    destinations: [waypoint(40.4200, -3.7000), waypoint(40.4500, -3.6500), waypoint(39.5696, 2.6502)],
+    travelMode: 'WALK'
+  });
+});
+
+test('computeRoute returns the polyline and distance', async () => {
+  const route = await computeRoute({
+    origin: { lat: 40.4168, lng: -3.7038 },
+    destination: { lat: 41.3874, lng: 2.1686 },
+    apiKey: 'test-key',
+    baseUrl
+  });
+
+  assert.deepEqual(route, { polyline: '_p~iF~ps|U_ulLnnqC', distanceMeters: 12345 });
+  assert.equal(requests.at(-1).body.travelMode, 'DRIVE');
+});
+
+test('computeTravelTimes surfaces API errors', async () => {
+  await assert.rejects(
+    computeTravelTimes({ origin: { lat: 0, lng: 0 }, destinations: [{ id: 'a', lat: 0, lng: 0 }], travelMode: 'WALK', apiKey: 'test-key', baseUrl: `${baseUrl}/missing` }),
+    { message: 'Not found' }
+  );
+});
+
+test('distance decay uses travel time when a place has one', () => {
+  const place = (id, distanceMeters, travelSeconds) => ({
+    id,
+    rating: 4.5,
+    userRatingCount: 200,
+    distanceMeters,
+    ...(travelSeconds !== undefined && { travelSeconds })
+  });
+  // Straight-line the river café is closer, but it's the longer trip
+  const places = [place('river', 500, 1800), place('street', 900, 300)];
+  const params = { distanceDecay: 'exponential', halfDistanceKm: 1, halfTravelMinutes: 10, distanceWeight: 1 };
+
+  const ranked = rankPlaces(places, 'bayesian', params);
+  assert.deepEqual(ranked.map(result => result.placeId), ['street', 'river']);
+
+  // Halves every half point: 5 minutes is half of 10, 30 minutes three times it
+  const [street, river] = ranked;
+  assert.ok(Math.abs(street.blendedScore / street.bayesianScore - Math.pow(0.5, 0.5)) < 1e-9);
+  assert.ok(Math.abs(river.blendedScore / river.bayesianScore - Math.pow(0.5, 3)) < 1e-9);
+
+  // Without travel times the straight-line distance decides
+  const untimed = rankPlaces(places.map(({ travelSeconds, ...rest }) => rest), 'bayesian', params);
+  assert.deepEqual(untimed.map(result => result.placeId), ['river', 'street']);
+});
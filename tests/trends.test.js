@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { thinSeries, summarizeTrend, sparklinePoints } from '../utils/trends.js';
+import { CONFIG } from '../config/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.UTC(2026, 9, 19, 12);
+
+// One observation a day for the given number of days, oldest first
+function dailySeries(days) {
+  return Array.from({ length: days }, (_, i) => [now - (days - 1 - i) * DAY_MS, 4.0 + i / 1000, 100 + i]);
+}
+
+test('thinSeries keeps a daily series for the whole window within the point cap', () => {
+  const kept = thinSeries(dailySeries(120), now);
+  const windowStart = now - CONFIG.TRENDS.WINDOW_DAYS * DAY_MS;
+
+  assert.ok(kept.length <= CONFIG.TRENDS.MAX_POINTS_PER_PLACE, `${kept.length} points`);
+  assert.ok(kept.every(([time]) => time >= windowStart), 'points outside the window are dropped');
+  assert.ok(kept[0][0] - windowStart < CONFIG.TRENDS.THINNED_INTERVAL_DAYS * DAY_MS, 'the window start is still covered');
+
+  // The recent month keeps every point
+  const recent = kept.filter(([time]) => time >= now - CONFIG.TRENDS.THIN_AFTER_DAYS * DAY_MS);
+  assert.equal(recent.length, CONFIG.TRENDS.THIN_AFTER_DAYS + 1);
+});
+
+test('thinSeries keeps the same points as the series grows', () => {
+  const series = dailySeries(60);
+  const first = thinSeries(series, now);
+  const later = thinSeries([...first, [now + DAY_MS, 4.1, 200]], now + DAY_MS);
+
+  // Points thinned earlier stay; only the one crossing the thinning age can go
+  const olderThanAMonth = now + DAY_MS - CONFIG.TRENDS.THIN_AFTER_DAYS * DAY_MS;
+  first
+    .filter(([time]) => time < olderThanAMonth - DAY_MS)
+    .forEach(point => assert.ok(later.includes(point)));
+});
+
+test('summarizeTrend compares the oldest point in the window with the latest', () => {
+  const series = [
+    [now - 120 * DAY_MS, 3.9, 50],
+    [now - 60 * DAY_MS, 4.2, 100],
+    [now - 10 * DAY_MS, 4.4, 130],
+    [now, 4.5, 160]
+  ];
+
+  assert.deepEqual(summarizeTrend(series, now), {
+    ratingDelta: 0.3,
+    reviewDelta: 60,
+    days: 60,
+    points: series.slice(1)
+  });
+  assert.equal(summarizeTrend([[now, 4.5, 160]], now), null);
+  assert.equal(summarizeTrend(undefined, now), null);
+});
+
+test('sparklinePoints spans the width and centers flat lines', () => {
+  assert.equal(sparklinePoints([[0, 4], [50, 5], [100, 4.5]], 60, 16), '0.0,16.0 30.0,0.0 60.0,8.0');
+  assert.equal(sparklinePoints([[0, 4.2], [10, 4.2]], 60, 16), '0.0,8.0 60.0,8.0');
+});
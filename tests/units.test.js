@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const storage = {};
+let uiLanguage = 'en-US';
+globalThis.chrome = {
+  i18n: { getUILanguage: () => uiLanguage },
+  storage: {
+    local: {
+      get: (keys, callback) => callback(Object.fromEntries([keys].flat().map(key => [key, storage[key]])))
+    }
+  }
+};
+
+const { KM_PER_MILE, getUnits, toKm, fromKm, getRadiusRange, snapRadius } = await import('../utils/units.js');
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('toKm and fromKm convert miles and leave kilometres alone', () => {
+  assert.equal(toKm(5, 'metric'), 5);
+  assert.equal(fromKm(5, 'metric'), 5);
+  assertClose(toKm(10, 'imperial'), 16.09344);
+  assertClose(fromKm(KM_PER_MILE * 3, 'imperial'), 3);
+});
+
+test('getRadiusRange rounds the maximum down to a whole step', () => {
+  assert.deepEqual(getRadiusRange('metric'), { min: 1, max: 50, step: 1 });
+  // 50 km is about 31.07 miles
+  assert.deepEqual(getRadiusRange('imperial'), { min: 0.5, max: 31, step: 0.5 });
+});
+
+test('snapRadius lands on a slider step within the range', () => {
+  assert.equal(snapRadius(5, 'metric'), 5);
+  assert.equal(snapRadius(0.2, 'metric'), 1);
+  assert.equal(snapRadius(5, 'imperial'), 3);
+  assert.equal(snapRadius(0.3, 'imperial'), 0.5);
+  assert.equal(snapRadius(80, 'imperial'), 31);
+});
+
+test('getUnits follows the preference, then the region, then the browser', async () => {
+  storage.maps_finder_locale = { units: 'metric' };
+  assert.equal(await getUnits(), 'metric');
+
+  storage.maps_finder_locale = { units: '', region: 'gb' };
+  assert.equal(await getUnits(), 'imperial');
+
+  delete storage.maps_finder_locale;
+  assert.equal(await getUnits(), 'imperial');
+  uiLanguage = 'es-ES';
+  assert.equal(await getUnits(), 'metric');
+});
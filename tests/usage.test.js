@@ -0,0 +1,116 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Period keys follow local time; pin a zone well away from UTC
+process.env.TZ = 'America/Los_Angeles';
+
+const storage = {};
+globalThis.chrome = {
+  runtime: {},
+  i18n: { getMessage: () => '' },
+  storage: {
+    local: {
+      get: (keys, callback) => callback(Object.fromEntries([keys].flat().map(key => [key, structuredClone(storage[key])]))),
+      set: (items, callback) => {
+        Object.assign(storage, structuredClone(items));
+        callback?.();
+      },
+      remove: (keys, callback) => {
+        [keys].flat().forEach(key => delete storage[key]);
+        callback?.();
+      }
+    }
+  }
+};
+
+const {
+  getFieldMaskTier, getPeriodKeys, recordApiCall, recordAutocompleteRequest,
+  creditAutocompleteSession, getUsageSummary, isWithinBudget, Skus
+} = await import('../utils/usage.js');
+const { saveUsageBudget } = await import('../utils/storage.js');
+const { searchByCategoryTiled } = await import('../utils/api.js');
+
+beforeEach(() => {
+  Object.keys(storage).forEach(key => delete storage[key]);
+});
+
+test('getFieldMaskTier bills the cheapest tier covering every field', () => {
+  assert.equal(getFieldMaskTier(Skus.TEXT_SEARCH, 'places.id,nextPageToken'), 'idsOnly');
+  assert.equal(getFieldMaskTier(Skus.TEXT_SEARCH, 'places.id,places.displayName,places.location'), 'pro');
+  assert.equal(getFieldMaskTier(Skus.TEXT_SEARCH, 'places.displayName,places.currentOpeningHours.openNow'), 'enterprise');
+  assert.equal(getFieldMaskTier(Skus.PLACE_DETAILS, 'id,reviews'), 'enterpriseAtmosphere');
+  // Nearby Search has no tier below Pro
+  assert.equal(getFieldMaskTier(Skus.NEARBY_SEARCH, 'places.id'), 'pro');
+  assert.equal(getFieldMaskTier(Skus.PLACE_DETAILS, 'location'), 'essentials');
+  assert.equal(getFieldMaskTier(Skus.AUTOCOMPLETE), 'requests');
+});
+
+test('getPeriodKeys uses local days and months', () => {
+  // 05:30 UTC on 1 February is still 31 January in Los Angeles
+  assert.deepEqual(getPeriodKeys(new Date('2026-02-01T05:30:00Z')), { day: '2026-01-31', month: '2026-01' });
+  assert.deepEqual(getPeriodKeys(new Date('2026-02-01T08:30:00Z')), { day: '2026-02-01', month: '2026-02' });
+});
+
+test('recorded calls add up to a monthly cost', async () => {
+  await recordApiCall(Skus.TEXT_SEARCH, 'places.id,places.rating');
+  await recordApiCall(Skus.TEXT_SEARCH, 'places.id,places.rating');
+  await recordApiCall(Skus.ROUTE_MATRIX, 'duration', 10);
+
+  const { today, month, budget } = await getUsageSummary();
+  assert.equal(budget, null);
+  assert.equal(month.calls, 12);
+  assert.ok(Math.abs(month.cost - (2 * 35 + 10 * 5) / 1000) < 1e-9);
+  assert.deepEqual(today.lines.map(line => `${line.sku}:${line.tier}`), ['searchText:enterprise', 'routeMatrix:essentials']);
+});
+
+test('autocomplete sessions are free only once they end in Place Details', async () => {
+  await recordAutocompleteRequest('ended');
+  await recordAutocompleteRequest('ended');
+  await recordAutocompleteRequest('abandoned');
+  await creditAutocompleteSession('ended');
+
+  const { month } = await getUsageSummary();
+  const calls = Object.fromEntries(month.lines.map(line => [line.sku, line.calls]));
+  assert.deepEqual(calls, { autocomplete: 1, autocompleteSession: 2 });
+  assert.ok(Math.abs(month.cost - 2.83 / 1000) < 1e-9);
+});
+
+test('isWithinBudget turns false once the month reaches the budget', async () => {
+  assert.equal(await isWithinBudget(), true);
+
+  await saveUsageBudget(0.07);
+  await recordApiCall(Skus.TEXT_SEARCH, 'places.rating');
+  assert.equal(await isWithinBudget(), true);
+
+  // Not awaited: the check must still wait for the count to be written
+  recordApiCall(Skus.TEXT_SEARCH, 'places.rating');
+  assert.equal(await isWithinBudget(), false);
+});
+
+test('tiled searches split full tiles and stop at the budget with what they found', async (t) => {
+  let requests = 0;
+  t.mock.method(globalThis, 'fetch', async (url, { body }) => {
+    requests++;
+    const { circle } = JSON.parse(body).locationRestriction;
+    // Every tile comes back full, so each one is split again
+    const places = Array.from({ length: 20 }, (_, i) => ({
+      id: `${requests}-${i}`,
+      location: { latitude: circle.center.latitude, longitude: circle.center.longitude }
+    }));
+    return { ok: true, json: async () => ({ places }) };
+  });
+
+  const location = { lat: 40.4168, lng: -3.7038 };
+  const unlimited = await searchByCategoryTiled({ includedTypes: ['cafe'], location, radius: 2000, apiKey: 'key', maxApiCalls: 8 });
+  assert.equal(requests, 8, 'the root tile and its seven children');
+  assert.equal(unlimited.length, 8 * 20);
+
+  // 35 USD per 1000 Enterprise requests: a 0.10 budget is spent by the third
+  await getUsageSummary();
+  Object.keys(storage).forEach(key => delete storage[key]);
+  await saveUsageBudget(0.1);
+  requests = 0;
+  const limited = await searchByCategoryTiled({ includedTypes: ['cafe'], location, radius: 2000, apiKey: 'key', maxApiCalls: 8 });
+  assert.equal(requests, 3);
+  assert.equal(limited.length, 3 * 20);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.chrome = { runtime: {}, i18n: { getMessage: () => '' } };
+
+const { getDueWatches, detectWatchChanges } = await import('../utils/watches.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+const result = (placeId, rating) => ({ placeId, name: `Place ${placeId}`, rating, reviewCount: 100 });
+
+test('getDueWatches returns watches whose interval has elapsed', () => {
+  const now = Date.now();
+  const watches = [
+    { id: 'due', intervalHours: 24, lastCheckedAt: now - 24 * HOUR_MS },
+    { id: 'waiting', intervalHours: 24, lastCheckedAt: now - 23 * HOUR_MS },
+    { id: 'hourly', intervalHours: 1, lastCheckedAt: now - 2 * HOUR_MS }
+  ];
+  assert.deepEqual(getDueWatches(watches, now).map(watch => watch.id), ['due', 'hourly']);
+});
+
+test('detectWatchChanges reports places entering the top list', () => {
+  const watch = { topN: 2, minRating: 4, snapshot: [result('a', 4.5), result('b', 4.4)] };
+  const { entered, ratingDrops, snapshot } = detectWatchChanges(
+    watch,
+    [result('c', 4.7), result('a', 4.5), result('b', 4.4)],
+    []
+  );
+
+  assert.deepEqual(entered, [{ placeId: 'c', name: 'Place c', rank: 1 }]);
+  assert.deepEqual(ratingDrops, []);
+  assert.deepEqual(snapshot.map(place => place.placeId), ['c', 'a']);
+});
+
+test('detectWatchChanges reports tracked places falling below the rating', () => {
+  const watch = { topN: 2, minRating: 4.2, snapshot: [result('a', 4.5), result('b', 4.1)] };
+  // 'a' dropped out of the top list, so its new rating comes from the raw places
+  const places = [{ id: 'a', rating: 3.9 }, { id: 'b', rating: 3.5 }, { id: 'c', rating: 4.6 }];
+  const { ratingDrops } = detectWatchChanges(watch, [result('c', 4.6), result('d', 4.3)], places);
+
+  // 'b' was already below the threshold, so it doesn't alert again
+  assert.deepEqual(ratingDrops, [{ placeId: 'a', name: 'Place a', from: 4.5, to: 3.9 }]);
+});
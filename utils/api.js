@@ -1,49 +1,154 @@
-// Google Places API wrapper
+// Google Places API wrapper (plus the Routes API for routes and travel times)
 
 import { CONFIG } from '../config/constants.js';
-
-const { PLACES_API_BASE, MAX_RESULTS_FROM_API } = CONFIG;
+import { recordApiCall, recordAutocompleteRequest, creditAutocompleteSession, isWithinBudget, Skus } from './usage.js';
+import { toTextSearchFilters } from './filters.js';
+import { t } from './i18n.js';
+
+const { PLACES_API_BASE, MAX_RADIUS_KM, MAX_RESULTS_FROM_API, TEXT_SEARCH, TILING, PLACE_DETAILS_REVIEWS } = CONFIG;
+
+// Place fields requested by Text Search, with or without a route
+const TEXT_SEARCH_FIELDS = [
+  'places.id',
+  'places.displayName',
+  'places.rating',
+  'places.userRatingCount',
+  'places.formattedAddress',
+  'places.shortFormattedAddress',
+  'places.location',
+  'places.primaryType',
+  'places.primaryTypeDisplayName',
+  'places.priceLevel',
+  'places.currentOpeningHours.openNow',
+  'nextPageToken'
+];
 
 /**
- * Search by Google Place category/type using Nearby Search
+ * Search by Google Place categories/types using Nearby Search
  * @param {object} params
- * @param {string} params.category - Google Place type (e.g., 'barber_shop', 'restaurant')
+ * @param {string[]} params.includedTypes - Google Place types (e.g., ['cafe', 'bakery'])
+ * @param {string[]} [params.excludedTypes] - Leave out places having any of these types
+ * @param {string[]} [params.excludedPrimaryTypes] - Leave out places whose primary type is one of these
  * @param {object} params.location - {lat, lng} coordinates
  * @param {number} params.radius - Search radius in meters
  * @param {string} params.apiKey - Google API key
+ * @param {object} [params.locale] - { languageCode, regionCode } for names and addresses
  * @returns {Promise<Array>} - Array of place objects
  */
-export async function searchByCategory({ category, location, radius, apiKey }) {
+export async function searchByCategory({ includedTypes, excludedTypes = [], excludedPrimaryTypes = [], location, radius, apiKey, locale }) {
+  const places = await fetchNearbyPlaces({
+    types: { includedTypes, excludedTypes, excludedPrimaryTypes },
+    center: location,
+    radius: Math.min(radius, MAX_RADIUS_KM * 1000),
+    apiKey,
+    locale
+  });
+
+  // Filter by actual distance (API circle can be approximate)
+  return filterByDistance(places, location, radius);
+}
+
+/**
+ * Search by category with adaptive tiling of Nearby Search
+ * Each Nearby Search response is capped at 20 places, so a tile that comes
+ * back full is split into 7 smaller circles that cover it and those are
+ * searched in turn, until tiles stop filling up or the call budget runs out.
+ * The monthly budget is checked before every request; once it's reached the
+ * places found so far are returned.
+ * @param {object} params
+ * @param {string[]} params.includedTypes - Google Place types (e.g., ['cafe', 'bakery'])
+ * @param {string[]} [params.excludedTypes] - Leave out places having any of these types
+ * @param {string[]} [params.excludedPrimaryTypes] - Leave out places whose primary type is one of these
+ * @param {object} params.location - {lat, lng} coordinates
+ * @param {number} params.radius - Search radius in meters
+ * @param {string} params.apiKey - Google API key
+ * @param {number} [params.maxApiCalls] - Maximum Nearby Search requests for this search
+ * @param {object} [params.locale] - { languageCode, regionCode } for names and addresses
+ * @returns {Promise<Array>} - Array of unique place objects
+ */
+export async function searchByCategoryTiled({ includedTypes, excludedTypes = [], excludedPrimaryTypes = [], location, radius, apiKey, maxApiCalls = TILING.MAX_API_CALLS, locale }) {
+  const types = { includedTypes, excludedTypes, excludedPrimaryTypes };
+  const rootRadius = Math.min(radius, MAX_RADIUS_KM * 1000);
+  const queue = [{ center: location, radius: rootRadius }];
+  const placesById = new Map();
+  let apiCalls = 0;
+
+  while (queue.length > 0 && apiCalls < maxApiCalls) {
+    if (!(await isWithinBudget())) break;
+
+    const tile = queue.shift();
+    const places = await fetchNearbyPlaces({ types, center: tile.center, radius: tile.radius, apiKey, locale });
+    apiCalls++;
+
+    places.forEach(place => {
+      if (!placesById.has(place.id)) {
+        placesById.set(place.id, place);
+      }
+    });
+
+    // A full response means this tile was truncated - look closer if the
+    // budget still allows searching every child tile
+    if (places.length < MAX_RESULTS_FROM_API) continue;
+
+    const children = subdivideCircle(tile.center, tile.radius).filter(child =>
+      child.radius >= TILING.MIN_TILE_RADIUS_M &&
+      haversineDistance(location.lat, location.lng, child.center.lat, child.center.lng) - child.radius < rootRadius
+    );
+
+    if (children.length > 0 && apiCalls + queue.length + children.length <= maxApiCalls) {
+      queue.push(...children);
+    }
+  }
+
+  // Tiles overlap and extend past the search circle, so trim to the radius
+  return filterByDistance([...placesById.values()], location, radius);
+}
+
+/**
+ * Run a single Nearby Search request for one circle
+ * @returns {Promise<Array>} - Raw place objects (at most MAX_RESULTS_FROM_API)
+ */
+async function fetchNearbyPlaces({ types, center, radius, apiKey, locale }) {
   const url = `${PLACES_API_BASE}/places:searchNearby`;
+  const { includedTypes, excludedTypes, excludedPrimaryTypes } = types;
 
   const requestBody = {
-    includedTypes: [category],
+    includedTypes,
+    ...(excludedTypes.length > 0 && { excludedTypes }),
+    ...(excludedPrimaryTypes.length > 0 && { excludedPrimaryTypes }),
     maxResultCount: MAX_RESULTS_FROM_API,
+    ...localeFields(locale),
     locationRestriction: {
       circle: {
         center: {
-          latitude: location.lat,
-          longitude: location.lng
+          latitude: center.lat,
+          longitude: center.lng
         },
-        radius: Math.min(radius, 50000) // Max 50km
+        radius
       }
     }
   };
 
+  const fieldMask = [
+    'places.id',
+    'places.displayName',
+    'places.rating',
+    'places.userRatingCount',
+    'places.formattedAddress',
+    'places.shortFormattedAddress',
+    'places.location',
+    'places.primaryType',
+    'places.primaryTypeDisplayName',
+    'places.priceLevel',
+    'places.currentOpeningHours.openNow'
+  ].join(',');
+
   const response = await fetch(url, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       'X-Goog-Api-Key': apiKey,
-      'X-Goog-FieldMask': [
-        'places.id',
-        'places.displayName',
-        'places.rating',
-        'places.userRatingCount',
-        'places.formattedAddress',
-        'places.shortFormattedAddress',
-        'places.location'
-      ].join(',')
+      'X-Goog-FieldMask': fieldMask
     },
     body: JSON.stringify(requestBody)
   });
@@ -53,31 +158,35 @@ export async function searchByCategory({ category, location, radius, apiKey }) {
     throw new Error(error.error?.message || 'Places API error');
   }
 
-  const data = await response.json();
-  const places = data.places || [];
+  recordApiCall(Skus.NEARBY_SEARCH, fieldMask);
 
-  // Filter by actual distance (API circle can be approximate)
-  return filterByDistance(places, location, radius);
+  const data = await response.json();
+  return data.places || [];
 }
 
 /**
  * Search by text query using Text Search
+ * Follows nextPageToken until maxResults places have been collected or the
+ * API runs out of pages, so rankings aren't based on the first page alone.
  * @param {object} params
  * @param {string} params.query - Search query (e.g., 'vegan pizza', 'pet store')
  * @param {object} params.location - {lat, lng} coordinates
  * @param {number} params.radius - Search radius in meters
  * @param {string} params.apiKey - Google API key
- * @returns {Promise<Array>} - Array of place objects
+ * @param {number} [params.maxResults] - Maximum places to collect across all pages
+ * @param {object} [params.filters] - Normalized filters; openNow, minRating and price are sent to the API
+ * @param {object} [params.locale] - { languageCode, regionCode } for names and addresses
+ * @returns {Promise<Array>} - Array of unique place objects
  */
-export async function searchByText({ query, location, radius, apiKey }) {
-  const url = `${PLACES_API_BASE}/places:searchText`;
-
+export async function searchByText({ query, location, radius, apiKey, maxResults = TEXT_SEARCH.MAX_RESULTS, filters = null, locale }) {
   // Text Search requires rectangle for locationRestriction, not circle
   const bounds = circleToBounds(location.lat, location.lng, radius);
 
   const requestBody = {
     textQuery: query,
-    maxResultCount: MAX_RESULTS_FROM_API,
+    pageSize: MAX_RESULTS_FROM_API,
+    ...(filters && toTextSearchFilters(filters)),
+    ...localeFields(locale),
     locationRestriction: {
       rectangle: {
         low: {
@@ -92,34 +201,136 @@ export async function searchByText({ query, location, radius, apiKey }) {
     }
   };
 
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Goog-Api-Key': apiKey,
-      'X-Goog-FieldMask': [
-        'places.id',
-        'places.displayName',
-        'places.rating',
-        'places.userRatingCount',
-        'places.formattedAddress',
-        'places.shortFormattedAddress',
-        'places.location'
-      ].join(',')
-    },
-    body: JSON.stringify(requestBody)
-  });
+  const places = await fetchTextSearchPages({ requestBody, fieldMask: TEXT_SEARCH_FIELDS.join(','), apiKey, maxResults });
 
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error?.message || 'Places API error');
+  // Filter by actual distance (bounding box corners extend beyond radius)
+  return filterByDistance(places, location, radius);
+}
+
+/**
+ * Search along a route using Text Search's route parameters
+ * Text Search takes a single place type, so a category search runs one query
+ * per type and merges the results; excluded types are filtered out afterwards.
+ * Each place gets detourMeters: how much longer the trip gets by stopping
+ * there. distanceMeters is set to the same value, so distance decay in the
+ * scorers penalizes long detours rather than distance from the origin.
+ * @param {object} params
+ * @param {Array} params.queries - [{ query, includedType }], e.g. [{ query: 'coffee' }] or one per category type
+ * @param {string[]} [params.excludedTypes] - Leave out places having any of these types
+ * @param {string[]} [params.excludedPrimaryTypes] - Leave out places whose primary type is one of these
+ * @param {string} params.polyline - Encoded polyline of the route
+ * @param {object} params.origin - {lat, lng} where the trip starts
+ * @param {number} params.routeDistanceMeters - Length of the route without a stop
+ * @param {string} params.apiKey - Google API key
+ * @param {number} [params.maxResults] - Maximum places to collect across all pages
+ * @param {object} [params.filters] - Normalized filters; openNow, minRating and price are sent to the API
+ * @param {object} [params.locale] - { languageCode, regionCode } for names and addresses
+ * @returns {Promise<Array>} - Array of unique place objects with detourMeters
+ */
+export async function searchAlongRoute({ queries, excludedTypes = [], excludedPrimaryTypes = [], polyline, origin, routeDistanceMeters, apiKey, maxResults = TEXT_SEARCH.MAX_RESULTS, filters = null, locale }) {
+  const hasExclusions = excludedTypes.length > 0 || excludedPrimaryTypes.length > 0;
+  const fieldMask = [...TEXT_SEARCH_FIELDS, 'routingSummaries', ...(hasExclusions ? ['places.types'] : [])].join(',');
+  const placesById = new Map();
+
+  for (const { query, includedType } of queries) {
+    const requestBody = {
+      textQuery: query,
+      ...(includedType && { includedType }),
+      pageSize: MAX_RESULTS_FROM_API,
+      ...(filters && toTextSearchFilters(filters)),
+      ...localeFields(locale),
+      searchAlongRouteParameters: {
+        polyline: { encodedPolyline: polyline }
+      },
+      // With an origin, each routing summary has two legs: origin to place and place to destination
+      routingParameters: {
+        origin: { latitude: origin.lat, longitude: origin.lng }
+      }
+    };
+
+    const places = await fetchTextSearchPages({
+      requestBody,
+      fieldMask,
+      apiKey,
+      maxResults,
+      // Routing summaries are listed in the same order as the places on each page
+      readPlaces: data => (data.places || []).map((place, index) => ({
+        ...place,
+        routingSummary: data.routingSummaries?.[index]
+      }))
+    });
+
+    places.forEach(place => {
+      if (!placesById.has(place.id)) {
+        placesById.set(place.id, place);
+      }
+    });
   }
 
-  const data = await response.json();
-  const places = data.places || [];
+  const included = [...placesById.values()].filter(place =>
+    !excludedPrimaryTypes.includes(place.primaryType) &&
+    !(place.types || []).some(type => excludedTypes.includes(type))
+  );
+
+  return included.map(({ routingSummary, ...place }) => {
+    const legs = routingSummary?.legs || [];
+    const detourMeters = legs.length === 2
+      ? Math.max(0, (legs[0].distanceMeters || 0) + (legs[1].distanceMeters || 0) - routeDistanceMeters)
+      : null;
+    return { ...place, detourMeters, distanceMeters: detourMeters };
+  });
+}
 
-  // Filter by actual distance (bounding box corners extend beyond radius)
-  return filterByDistance(places, location, radius);
+/**
+ * Collect Text Search pages
+ * Follows nextPageToken until maxResults places have been collected, the API
+ * runs out of pages, TEXT_SEARCH.MAX_PAGES requests have been made or the
+ * monthly budget is reached.
+ * @returns {Promise<Array>} - Unique places in the order they were returned
+ */
+async function fetchTextSearchPages({ requestBody, fieldMask, apiKey, maxResults, readPlaces = data => data.places || [] }) {
+  const url = `${PLACES_API_BASE}/places:searchText`;
+  const places = [];
+  const seenIds = new Set();
+  let pageToken = null;
+  let pageCount = 0;
+
+  do {
+    if (!(await isWithinBudget())) break;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Goog-Api-Key': apiKey,
+        'X-Goog-FieldMask': fieldMask
+      },
+      // Every page request must repeat the original parameters plus the token
+      body: JSON.stringify(pageToken ? { ...requestBody, pageToken } : requestBody)
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error?.message || 'Places API error');
+    }
+
+    recordApiCall(Skus.TEXT_SEARCH, fieldMask);
+
+    const data = await response.json();
+
+    // Pages can overlap, so keep only the first copy of each place
+    readPlaces(data).forEach(place => {
+      if (!seenIds.has(place.id) && places.length < maxResults) {
+        seenIds.add(place.id);
+        places.push(place);
+      }
+    });
+
+    pageToken = data.nextPageToken || null;
+    pageCount++;
+  } while (pageToken && places.length < maxResults && pageCount < TEXT_SEARCH.MAX_PAGES);
+
+  return places;
 }
 
 /**
@@ -127,9 +338,10 @@ export async function searchByText({ query, location, radius, apiKey }) {
  * Uses text search with location bias for better results
  * @param {string} query - Location string (e.g., "New York, NY")
  * @param {string} apiKey - Google API key
+ * @param {object} [locale] - { languageCode, regionCode }; the region biases ambiguous addresses
  * @returns {Promise<object>} - {lat, lng} coordinates
  */
-export async function geocodeLocation(query, apiKey) {
+export async function geocodeLocation(query, apiKey, locale) {
   // Check if already coordinates (e.g., "40.7128,-74.0060")
   const coordMatch = query.match(/^(-?\d+\.?\d*),\s*(-?\d+\.?\d*)$/);
   if (coordMatch) {
@@ -141,29 +353,33 @@ export async function geocodeLocation(query, apiKey) {
 
   // Use Places API Text Search for geocoding (supports header-based auth)
   const url = `${PLACES_API_BASE}/places:searchText`;
+  const fieldMask = 'places.location,places.formattedAddress';
 
   const response = await fetch(url, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       'X-Goog-Api-Key': apiKey,
-      'X-Goog-FieldMask': 'places.location,places.formattedAddress'
+      'X-Goog-FieldMask': fieldMask
     },
     body: JSON.stringify({
       textQuery: query,
-      maxResultCount: 1
+      maxResultCount: 1,
+      ...localeFields(locale)
     })
   });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
-    throw new Error(error.error?.message || 'Could not find location. Please try a different address.');
+    throw new Error(error.error?.message || t('errorLocationNotFound'));
   }
 
+  recordApiCall(Skus.TEXT_SEARCH, fieldMask);
+
   const data = await response.json();
 
   if (!data.places?.length || !data.places[0].location) {
-    throw new Error('Could not find location. Please try a different address.');
+    throw new Error(t('errorLocationNotFound'));
   }
 
   const location = data.places[0].location;
@@ -178,9 +394,11 @@ export async function geocodeLocation(query, apiKey) {
  * Uses Places API (New) Autocomplete
  * @param {string} input - Partial address input
  * @param {string} apiKey - Google API key
+ * @param {string} [sessionToken] - Groups keystrokes with the final details call for session billing
+ * @param {object} [locale] - { languageCode, regionCode } for suggestion text
  * @returns {Promise<Array>} - Array of suggestion objects
  */
-export async function getAutocompleteSuggestions(input, apiKey) {
+export async function getAutocompleteSuggestions(input, apiKey, sessionToken, locale) {
   if (!input || input.length < 2) return [];
 
   const url = `${PLACES_API_BASE}/places:autocomplete`;
@@ -193,7 +411,9 @@ export async function getAutocompleteSuggestions(input, apiKey) {
         'X-Goog-Api-Key': apiKey
       },
       body: JSON.stringify({
-        input: input
+        input: input,
+        ...(sessionToken && { sessionToken }),
+        ...localeFields(locale)
       })
     });
 
@@ -203,6 +423,8 @@ export async function getAutocompleteSuggestions(input, apiKey) {
       return [];
     }
 
+    recordAutocompleteRequest(sessionToken);
+
     const data = await response.json();
 
     if (!data.suggestions || data.suggestions.length === 0) {
@@ -226,43 +448,204 @@ export async function getAutocompleteSuggestions(input, apiKey) {
 }
 
 /**
- * Get place details (coordinates) from place ID
+ * Get place details from place ID
+ * By default only coordinates are requested. With `extended`, contact info,
+ * weekly hours, the editorial summary and the most recent reviews are
+ * included too (billed at a higher tier).
  * @param {string} placeId - Google Place ID
  * @param {string} apiKey - Google API key
- * @returns {Promise<object>} - {lat, lng} coordinates
+ * @param {object} [options]
+ * @param {string} [options.sessionToken] - Autocomplete session this lookup concludes
+ * @param {boolean} [options.extended] - Also fetch phone, website, hours, summary and reviews
+ * @param {object} [options.locale] - { languageCode, regionCode } for hours and summary text
+ * @returns {Promise<object>} - {lat, lng} plus detail fields when extended
  */
-export async function getPlaceDetails(placeId, apiKey) {
-  const url = `${PLACES_API_BASE}/places/${placeId}`;
+export async function getPlaceDetails(placeId, apiKey, { sessionToken, extended = false, locale } = {}) {
+  // Details is a GET, so the locale goes in the query string
+  const params = new URLSearchParams({
+    ...(sessionToken && { sessionToken }),
+    ...localeFields(locale)
+  });
+  const query = params.toString() ? `?${params}` : '';
+  const url = `${PLACES_API_BASE}/places/${encodeURIComponent(placeId)}${query}`;
+  const fieldMask = extended
+    ? [
+      'location',
+      'nationalPhoneNumber',
+      'internationalPhoneNumber',
+      'websiteUri',
+      'regularOpeningHours.weekdayDescriptions',
+      'editorialSummary',
+      'reviews'
+    ].join(',')
+    : 'location';
 
   const response = await fetch(url, {
     method: 'GET',
     headers: {
       'Content-Type': 'application/json',
       'X-Goog-Api-Key': apiKey,
-      'X-Goog-FieldMask': 'location'
+      'X-Goog-FieldMask': fieldMask
     }
   });
 
   if (!response.ok) {
-    throw new Error('Could not get place details');
+    throw new Error(t('errorPlaceDetails'));
+  }
+
+  recordApiCall(Skus.PLACE_DETAILS, fieldMask);
+  if (sessionToken) {
+    // This call ends the autocomplete session, which makes its requests free
+    creditAutocompleteSession(sessionToken);
   }
 
   const data = await response.json();
 
   if (!data.location) {
-    throw new Error('No location data for this place');
+    throw new Error(t('errorNoPlaceLocation'));
   }
 
-  return {
+  const coordinates = {
     lat: data.location.latitude,
     lng: data.location.longitude
   };
+
+  if (!extended) {
+    return coordinates;
+  }
+
+  return {
+    ...coordinates,
+    phone: data.nationalPhoneNumber || data.internationalPhoneNumber || null,
+    website: data.websiteUri || null,
+    weeklyHours: data.regularOpeningHours?.weekdayDescriptions || [],
+    editorialSummary: data.editorialSummary?.text || null,
+    // The API returns up to 5 "most relevant" reviews; show the newest first
+    reviews: (data.reviews || [])
+      .slice()
+      .sort((a, b) => (b.publishTime || '').localeCompare(a.publishTime || ''))
+      .slice(0, PLACE_DETAILS_REVIEWS)
+      .map(review => ({
+        author: review.authorAttribution?.displayName || t('reviewAnonymous'),
+        rating: review.rating || 0,
+        text: review.text?.text || review.originalText?.text || '',
+        relativeTime: review.relativePublishTimeDescription || ''
+      }))
+  };
+}
+
+/**
+ * Travel times from one origin to several places with the Routes API route matrix
+ * @param {object} params
+ * @param {object} params.origin - {lat, lng}
+ * @param {Array} params.destinations - [{ id, lat, lng }]
+ * @param {string} params.travelMode - WALK, DRIVE, BICYCLE or TRANSIT
+ * @param {string} params.apiKey - Google API key
+ * @param {string} params.baseUrl - Routes API host (CONFIG.ROUTES_API_BASE, or a local stand-in)
+ * @returns {Promise<object>} - Travel time in seconds keyed by place ID; places without a route are left out
+ */
+export async function computeTravelTimes({ origin, destinations, travelMode, apiKey, baseUrl }) {
+  const url = `${baseUrl}/distanceMatrix/v2:computeRouteMatrix`;
+  const waypoint = ({ lat, lng }) => ({
+    waypoint: { location: { latLng: { latitude: lat, longitude: lng } } }
+  });
+
+  const fieldMask = 'originIndex,destinationIndex,duration,condition';
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Goog-Api-Key': apiKey,
+      'X-Goog-FieldMask': fieldMask
+    },
+    body: JSON.stringify({
+      origins: [waypoint(origin)],
+      destinations: destinations.map(waypoint),
+      travelMode
+    })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error?.message || 'Routes API error');
+  }
+
+  // Billed per element, i.e. per origin-destination pair
+  recordApiCall(Skus.ROUTE_MATRIX, fieldMask, destinations.length);
+
+  // One element per pair; zero indexes are omitted from the JSON
+  const elements = await response.json();
+  return elements.reduce((times, element) => {
+    const destination = destinations[element.destinationIndex || 0];
+    if (destination && element.condition === 'ROUTE_EXISTS' && element.duration) {
+      times[destination.id] = parseInt(element.duration, 10);
+    }
+    return times;
+  }, {});
+}
+
+/**
+ * Driving route between two points with the Routes API
+ * @param {object} params
+ * @param {object} params.origin - {lat, lng}
+ * @param {object} params.destination - {lat, lng}
+ * @param {string} params.apiKey - Google API key
+ * @param {string} params.baseUrl - Routes API host (CONFIG.ROUTES_API_BASE, or a local stand-in)
+ * @returns {Promise<object>} - { polyline, distanceMeters }
+ */
+export async function computeRoute({ origin, destination, apiKey, baseUrl }) {
+  const url = `${baseUrl}/directions/v2:computeRoutes`;
+  const waypoint = ({ lat, lng }) => ({ location: { latLng: { latitude: lat, longitude: lng } } });
+
+  const fieldMask = 'routes.distanceMeters,routes.polyline.encodedPolyline';
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Goog-Api-Key': apiKey,
+      'X-Goog-FieldMask': fieldMask
+    },
+    body: JSON.stringify({
+      origin: waypoint(origin),
+      destination: waypoint(destination),
+      travelMode: 'DRIVE',
+      polylineEncoding: 'ENCODED_POLYLINE'
+    })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error?.message || 'Routes API error');
+  }
+
+  recordApiCall(Skus.COMPUTE_ROUTES, fieldMask);
+
+  const data = await response.json();
+  const route = data.routes?.[0];
+
+  if (!route?.polyline?.encodedPolyline) {
+    throw new Error(t('errorNoRoute'));
+  }
+
+  return { polyline: route.polyline.encodedPolyline, distanceMeters: route.distanceMeters || 0 };
+}
+
+/**
+ * Language and region fields for a Places request, omitting unset values
+ */
+function localeFields(locale) {
+  return {
+    ...(locale?.languageCode && { languageCode: locale.languageCode }),
+    ...(locale?.regionCode && { regionCode: locale.regionCode })
+  };
 }
 
 /**
  * Calculate haversine distance between two points in meters
  */
-function haversineDistance(lat1, lng1, lat2, lng2) {
+export function haversineDistance(lat1, lng1, lat2, lng2) {
   const R = 6371000; // Earth's radius in meters
   const toRad = (deg) => deg * Math.PI / 180;
 
@@ -314,3 +697,27 @@ function circleToBounds(lat, lng, radius) {
     west: lng - lngOffset
   };
 }
+
+/**
+ * Split a circle into 7 half-size circles (one centred, six on a ring)
+ * that together cover it. Radii are padded slightly so the tiles overlap.
+ */
+function subdivideCircle(center, radius) {
+  const earthRadius = 6371000;
+  const childRadius = (radius / 2) * 1.05;
+  const ringDistance = radius * Math.sqrt(3) / 2;
+  const children = [{ center, radius: childRadius }];
+
+  for (let i = 0; i < 6; i++) {
+    const angle = (i * Math.PI) / 3;
+    const latOffset = (ringDistance * Math.cos(angle) / earthRadius) * (180 / Math.PI);
+    const lngOffset = (ringDistance * Math.sin(angle) / (earthRadius * Math.cos(center.lat * Math.PI / 180))) * (180 / Math.PI);
+
+    children.push({
+      center: { lat: center.lat + latOffset, lng: center.lng + lngOffset },
+      radius: childRadius
+    });
+  }
+
+  return children;
+}
@@ -1,60 +1,199 @@
 // Scoring algorithms for ranking places
 //
+// Each ranker is registered with an id, label, description and tunable
+// parameters, so the popup can build its picker from the registry.
+//
 // 1. Bayesian Average: Balances rating with review count
 //    Formula: Score = (C × m + R × v) / (C + v)
 //
 // 2. Popularity Bonus: Favors places with many reviews
 //    Formula: Score = rating × (1 + log10(reviews) × popularityWeight)
+//
+// 3. Wilson Lower Bound: Pessimistic estimate of the star rating
+//    Formula: lower bound of the Wilson score interval on (R - 1) / 4
+//
+// 4. Dirichlet Credible Bound: Posterior mean minus z standard deviations
+//    under a Dirichlet prior over the five star levels
+//
+// Any of them can be blended with proximity via distance decay:
+//    Blended = score × (1 - weight + weight × falloff(distance))
+// Places with a travel time use it in place of the straight-line distance.
 
 import { CONFIG } from '../config/constants.js';
 
 const { CONFIDENCE_THRESHOLD, DEFAULT_PRIOR_MEAN, MIN_REVIEWS } = CONFIG.BAYESIAN;
+const { DISTANCE } = CONFIG;
+
+const algorithms = new Map();
+
+// Parameters that apply whichever algorithm is selected
+// (distance: true marks values in km that are shown in the user's units)
+export const SHARED_PARAMS = [
+  { key: 'minReviews', label: 'Minimum reviews', min: 0, max: 500, step: 1, default: MIN_REVIEWS },
+  {
+    key: 'distanceDecay',
+    label: 'Distance decay',
+    options: [
+      { value: 'off', label: 'Off' },
+      { value: 'exponential', label: 'Exponential' },
+      { value: 'linear', label: 'Linear' }
+    ],
+    default: 'off'
+  },
+  { key: 'halfDistanceKm', label: 'Half-distance', min: 0.5, max: 25, step: 0.5, default: DISTANCE.HALF_DISTANCE_KM, distance: true },
+  { key: 'halfTravelMinutes', label: 'Half-travel time (min)', min: 1, max: 120, step: 1, default: DISTANCE.HALF_TRAVEL_MINUTES },
+  { key: 'distanceWeight', label: 'Distance weight', min: 0, max: 1, step: 0.05, default: DISTANCE.WEIGHT }
+];
 
 /**
- * Calculate scores based on selected algorithm
- * @param {Array} places - Array of place objects from API
- * @param {string} algorithm - 'bayesian' or 'popularity'
- * @returns {Array} - Places sorted by score (descending)
+ * Register a scoring algorithm
+ * @param {object} definition
+ * @param {string} definition.id - Unique id sent in the SEARCH message
+ * @param {string} definition.label - Short name for the picker
+ * @param {string} definition.description - One-line explanation shown as a tooltip
+ * @param {Array} definition.params - Tunable parameters: { key, label, min, max, step, default, autoValue? }
+ *   or { key, label, options: [{ value, label }], default } for a choice.
+ *   autoValue marks a setting that means "derive from the data" (shown as Auto)
+ * @param {Function} definition.score - (validPlaces, params) => places with bayesianScore set
  */
-export function calculateScores(places, algorithm = 'bayesian') {
-  if (algorithm === 'popularity') {
-    return calculatePopularityScores(places);
-  }
-  return calculateBayesianScores(places);
+export function registerAlgorithm(definition) {
+  algorithms.set(definition.id, definition);
 }
 
 /**
- * Calculate Bayesian scores for all places and return sorted
+ * List registered algorithms in registration order
+ * @returns {Array} - Algorithm definitions
+ */
+export function listAlgorithms() {
+  return [...algorithms.values()];
+}
+
+/**
+ * Look up an algorithm by id
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function getAlgorithm(id) {
+  return algorithms.get(id);
+}
+
+/**
+ * Calculate scores based on selected algorithm
  * @param {Array} places - Array of place objects from API
- * @returns {Array} - Places sorted by Bayesian score (descending)
+ * @param {string} algorithm - Registered algorithm id (falls back to 'bayesian')
+ * @param {object} [params] - Overrides for shared and algorithm parameters
+ * @returns {Array} - Places sorted by score (descending)
  */
-export function calculateBayesianScores(places) {
+export function calculateScores(places, algorithm = 'bayesian', params = {}) {
+  const definition = algorithms.get(algorithm) || algorithms.get('bayesian');
+  const shared = resolveParams(SHARED_PARAMS, params);
+  const { minReviews } = shared;
+
   // Filter out places without ratings or with too few reviews
   const validPlaces = places.filter(place =>
     place.rating > 0 &&
-    (place.userRatingCount || 0) >= MIN_REVIEWS
+    (place.userRatingCount || 0) >= minReviews
   );
 
   if (validPlaces.length === 0) {
     return [];
   }
 
-  // Calculate prior mean (m) from the dataset
-  const priorMean = calculatePriorMean(validPlaces);
+  const scoredPlaces = applyDistanceDecay(
+    definition.score(validPlaces, resolveParams(definition.params, params)),
+    shared
+  );
+
+  // Sort by score (highest first), using the distance-blended score when on
+  return scoredPlaces.sort((a, b) =>
+    (b.blendedScore ?? b.bayesianScore) - (a.blendedScore ?? a.bayesianScore)
+  );
+}
+
+/**
+ * Blend each place's quality score with its proximity to the search center
+ * Proximity is the travel time for places that have one (travelSeconds, over
+ * halfTravelMinutes) and the straight-line distance otherwise (distanceMeters,
+ * over halfDistanceKm). Leaves bayesianScore untouched and adds blendedScore
+ * (null when decay is off).
+ * @param {Array} places - Scored places (with distanceMeters when known)
+ * @param {object} params - { distanceDecay, halfDistanceKm, halfTravelMinutes, distanceWeight }
+ * @returns {Array} - Places with blendedScore set
+ */
+function applyDistanceDecay(places, { distanceDecay, halfDistanceKm, halfTravelMinutes, distanceWeight }) {
+  if (distanceDecay === 'off') {
+    return places.map(place => ({ ...place, blendedScore: null }));
+  }
+
+  return places.map(place => {
+    // Share of the way to the half point; places without coordinates aren't penalized
+    const ratio = typeof place.travelSeconds === 'number'
+      ? place.travelSeconds / (halfTravelMinutes * 60)
+      : (place.distanceMeters || 0) / (halfDistanceKm * 1000);
+    const falloff = distanceDecay === 'linear'
+      ? Math.max(0, 1 - ratio / 2)  // 0.5 at the half point, 0 at twice it
+      : Math.pow(0.5, ratio);       // Halves every half point
+
+    return {
+      ...place,
+      blendedScore: place.bayesianScore * (1 - distanceWeight + distanceWeight * falloff)
+    };
+  });
+}
+
+/**
+ * Fill in defaults and clamp user-supplied values to each parameter's range
+ * @param {Array} descriptors - Parameter descriptors
+ * @param {object} values - Raw values keyed by parameter key
+ * @returns {object} - Resolved values keyed by parameter key
+ */
+export function resolveParams(descriptors, values = {}) {
+  return descriptors.reduce((resolved, param) => {
+    const raw = values[param.key];
+
+    if (param.options) {
+      resolved[param.key] = param.options.some(option => option.value === raw) ? raw : param.default;
+      return resolved;
+    }
+
+    const value = raw === null || raw === undefined || raw === '' ? NaN : Number(raw);
+
+    resolved[param.key] = Number.isFinite(value)
+      ? Math.min(Math.max(value, param.min), param.max)
+      : param.default;
+    return resolved;
+  }, {});
+}
+
+/**
+ * Calculate Bayesian scores for all places and return sorted
+ * @param {Array} places - Array of place objects from API
+ * @returns {Array} - Places sorted by Bayesian score (descending)
+ */
+export function calculateBayesianScores(places) {
+  return calculateScores(places, 'bayesian');
+}
+
+/**
+ * Score places with the Bayesian average
+ * @param {Array} places - Places with ratings
+ * @param {object} params - { confidenceThreshold, priorMean } - priorMean 0 = area average
+ * @returns {Array} - Places with bayesianScore set
+ */
+function scoreBayesian(places, { confidenceThreshold, priorMean: fixedPriorMean }) {
+  // Calculate prior mean (m) from the dataset unless the user fixed one
+  const priorMean = fixedPriorMean > 0 ? fixedPriorMean : calculatePriorMean(places);
 
   // Calculate Bayesian score for each place
-  const scoredPlaces = validPlaces.map(place => ({
+  return places.map(place => ({
     ...place,
     bayesianScore: calculateScore(
       place.rating,
       place.userRatingCount || 0,
       priorMean,
-      CONFIDENCE_THRESHOLD
+      confidenceThreshold
     )
   }));
-
-  // Sort by Bayesian score (highest first)
-  return scoredPlaces.sort((a, b) => b.bayesianScore - a.bayesianScore);
 }
 
 /**
@@ -80,7 +219,7 @@ function calculateScore(rating, reviewCount, priorMean, confidenceThreshold) {
  * @param {Array} places - Array of places with ratings
  * @returns {number} - Prior mean rating
  */
-function calculatePriorMean(places) {
+export function calculatePriorMean(places) {
   if (places.length === 0) {
     return DEFAULT_PRIOR_MEAN;
   }
@@ -112,25 +251,12 @@ function calculatePriorMean(places) {
  * - 100 reviews = 2.0 bonus multiplier
  * - 1000 reviews = 3.0 bonus multiplier
  *
- * @param {Array} places - Array of place objects from API
- * @returns {Array} - Places sorted by popularity score (descending)
+ * @param {Array} places - Places with ratings
+ * @param {object} params - { popularityWeight }
+ * @returns {Array} - Places with bayesianScore set
  */
-function calculatePopularityScores(places) {
-  // Filter out places without ratings
-  const validPlaces = places.filter(place =>
-    place.rating > 0 &&
-    (place.userRatingCount || 0) >= MIN_REVIEWS
-  );
-
-  if (validPlaces.length === 0) {
-    return [];
-  }
-
-  // Popularity weight - how much to favor review count
-  const POPULARITY_WEIGHT = 0.3;
-
-  // Calculate popularity score for each place
-  const scoredPlaces = validPlaces.map(place => {
+function scorePopularity(places, { popularityWeight }) {
+  return places.map(place => {
     const reviews = place.userRatingCount || 1;
     const rating = place.rating;
 
@@ -140,14 +266,129 @@ function calculatePopularityScores(places) {
 
     // Score = rating × (1 + reviewBonus × weight)
     // This boosts high-review places while still considering rating
-    const popularityScore = rating * (1 + reviewBonus * POPULARITY_WEIGHT);
+    const popularityScore = rating * (1 + reviewBonus * popularityWeight);
 
     return {
       ...place,
       bayesianScore: popularityScore // Use same field name for consistency
     };
   });
+}
+
+/**
+ * Calculate Wilson lower-bound scores
+ * The rating is mapped onto a 0-1 "satisfaction" proportion, the lower end
+ * of its Wilson score interval is taken, and the result mapped back to stars.
+ * Few reviews widen the interval, so thinly reviewed places sink.
+ *
+ * @param {Array} places - Places with ratings
+ * @param {object} params - { z } - z-score of the confidence level (1.96 = 95%)
+ * @returns {Array} - Places with bayesianScore set
+ */
+function scoreWilson(places, { z }) {
+  return places.map(place => {
+    const n = place.userRatingCount || 1;
+    const p = Math.min(Math.max((place.rating - 1) / 4, 0), 1);
+    const z2 = z * z;
+
+    const lowerBound = (
+      p + z2 / (2 * n) -
+      z * Math.sqrt((p * (1 - p) + z2 / (4 * n)) / n)
+    ) / (1 + z2 / n);
+
+    return {
+      ...place,
+      bayesianScore: 1 + 4 * lowerBound
+    };
+  });
+}
 
-  // Sort by popularity score (highest first)
-  return scoredPlaces.sort((a, b) => b.bayesianScore - a.bayesianScore);
+/**
+ * Calculate Dirichlet credible-bound scores
+ * Each place gets a Dirichlet posterior over the five star levels: a uniform
+ * prior of `priorWeight` pseudo-votes per star plus the observed reviews.
+ * Only the average is known, so the reviews are assumed to sit on the two
+ * star levels either side of it. Score = posterior mean - z × posterior sd.
+ *
+ * @param {Array} places - Places with ratings
+ * @param {object} params - { priorWeight, z }
+ * @returns {Array} - Places with bayesianScore set
+ */
+function scoreDirichlet(places, { priorWeight, z }) {
+  return places.map(place => {
+    const n = place.userRatingCount || 1;
+    const counts = estimateStarCounts(place.rating, n)
+      .map(count => count + priorWeight);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+
+    // Moments of the star value under the posterior mean distribution
+    const mean = counts.reduce((sum, count, i) => sum + (i + 1) * count, 0) / total;
+    const meanSquare = counts.reduce((sum, count, i) => sum + (i + 1) ** 2 * count, 0) / total;
+    const variance = Math.max(meanSquare - mean ** 2, 0) / (total + 1);
+
+    return {
+      ...place,
+      bayesianScore: mean - z * Math.sqrt(variance)
+    };
+  });
+}
+
+/**
+ * Spread `count` reviews over star levels 1-5 so their average is `rating`
+ * @returns {Array<number>} - Five review counts, index 0 = 1 star
+ */
+function estimateStarCounts(rating, count) {
+  const clamped = Math.min(Math.max(rating, 1), 5);
+  const lower = Math.floor(clamped);
+  const upperShare = clamped - lower;
+  const counts = [0, 0, 0, 0, 0];
+
+  counts[lower - 1] += count * (1 - upperShare);
+  if (upperShare > 0) {
+    counts[lower] += count * upperShare;
+  }
+
+  return counts;
 }
+
+registerAlgorithm({
+  id: 'bayesian',
+  label: 'Bayesian',
+  description: 'Balances rating quality with review count',
+  params: [
+    { key: 'confidenceThreshold', label: 'Confidence threshold', min: 1, max: 200, step: 1, default: CONFIDENCE_THRESHOLD },
+    { key: 'priorMean', label: 'Prior mean', min: 0, max: 5, step: 0.1, default: 0, autoValue: 0 }
+  ],
+  score: scoreBayesian
+});
+
+registerAlgorithm({
+  id: 'popularity',
+  label: 'Popularity',
+  description: 'Favors places with many reviews',
+  params: [
+    { key: 'popularityWeight', label: 'Popularity weight', min: 0, max: 1, step: 0.05, default: CONFIG.POPULARITY.WEIGHT }
+  ],
+  score: scorePopularity
+});
+
+registerAlgorithm({
+  id: 'wilson',
+  label: 'Wilson',
+  description: 'Lower confidence bound on the star rating - cautious with few reviews',
+  params: [
+    { key: 'z', label: 'Confidence (z-score)', min: 0.5, max: 3, step: 0.05, default: 1.96 }
+  ],
+  score: scoreWilson
+});
+
+registerAlgorithm({
+  id: 'dirichlet',
+  label: 'Dirichlet',
+  description: 'Credible lower bound from a Dirichlet prior over star levels',
+  params: [
+    { key: 'priorWeight', label: 'Prior votes per star', min: 0, max: 10, step: 0.5, default: 1 },
+    { key: 'z', label: 'Credibility (z-score)', min: 0.5, max: 3, step: 0.05, default: 1.65 }
+  ],
+  score: scoreDirichlet
+});
@@ -0,0 +1,195 @@
+// Persistent response cache for Places API calls
+//
+// Entries live in chrome.storage.local so they survive service worker
+// restarts. Keys are built from normalized request parameters, and each
+// endpoint has its own TTL and entry limit (CACHE.MAX_ENTRIES), past which its
+// least recently used entries are evicted. The least recently used entries of
+// any endpoint also go once the cache outgrows CACHE.MAX_BYTES. Last-use times
+// are kept in a small separate index, so a cache hit doesn't rewrite every
+// cached response.
+
+import { CONFIG } from '../config/constants.js';
+import { getResponseCache, saveResponseCache, getResponseCacheIndex, saveResponseCacheIndex } from './storage.js';
+
+const { MAX_ENTRIES, MAX_BYTES, TTL_MS, COORDINATE_PRECISION } = CONFIG.CACHE;
+
+// Identifiers that must keep their case when keys are normalized
+const CASE_SENSITIVE_KEYS = new Set(['placeId', 'placeIds', 'polyline']);
+
+// Serialize read-modify-write cycles so concurrent lookups don't drop entries
+let pendingWrite = Promise.resolve();
+
+/**
+ * Return a cached response, or call the fetcher and cache what it returns
+ * @param {string} endpoint - Cache namespace with its own TTL (e.g., 'search', 'geocode')
+ * @param {object} params - Request parameters that identify the response
+ * @param {Function} fetcher - Async function producing the fresh value
+ * @param {object} [options]
+ * @param {boolean} [options.bypass] - Skip the lookup but still store the fresh value
+ * @returns {Promise<object>} - { value, fromCache, cachedAt }
+ */
+export async function withCache(endpoint, params, fetcher, { bypass = false } = {}) {
+  const key = buildCacheKey(endpoint, params);
+
+  if (!bypass) {
+    const entry = await readEntry(key);
+    if (entry) {
+      return { value: entry.value, fromCache: true, cachedAt: entry.storedAt };
+    }
+  }
+
+  const value = await fetcher();
+  const ttl = TTL_MS[endpoint] || 0;
+
+  if (ttl > 0) {
+    await writeEntry(key, value, ttl);
+  }
+
+  return { value, fromCache: false, cachedAt: null };
+}
+
+/**
+ * Build a stable cache key from an endpoint and its parameters
+ * Strings are trimmed and lowercased (except IDs), coordinates rounded, and object keys
+ * sorted so equivalent requests map to the same entry.
+ * @param {string} endpoint
+ * @param {object} params
+ * @returns {string}
+ */
+export function buildCacheKey(endpoint, params) {
+  return `${endpoint}:${JSON.stringify(normalize(params))}`;
+}
+
+function normalize(value, key = '') {
+  if (Array.isArray(value)) {
+    return value.map(item => normalize(item, key));
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .filter(k => value[k] !== undefined)
+      .sort()
+      .reduce((result, k) => {
+        result[k] = normalize(value[k], k);
+        return result;
+      }, {});
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim().replace(/\s+/g, ' ');
+    return CASE_SENSITIVE_KEYS.has(key) ? trimmed : trimmed.toLowerCase();
+  }
+  if (typeof value === 'number' && (key === 'lat' || key === 'lng')) {
+    return Number(value.toFixed(COORDINATE_PRECISION));
+  }
+  return value;
+}
+
+async function readEntry(key) {
+  const entries = await getResponseCache();
+  const entry = entries[key];
+
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    await updateCache((index, current) => {
+      delete current[key];
+      delete index[key];
+    }, { withEntries: true });
+    return null;
+  }
+
+  // Touch the entry so eviction keeps recently used responses
+  await updateCache(index => {
+    index[key] = Date.now();
+  });
+
+  return entry;
+}
+
+async function writeEntry(key, value, ttl) {
+  const now = Date.now();
+
+  await updateCache((index, entries) => {
+    entries[key] = { value, storedAt: now, expiresAt: now + ttl, size: measure(key, value) };
+    index[key] = now;
+    evict(entries, index, now);
+  }, { withEntries: true });
+}
+
+// Run one read-modify-write cycle at a time; the responses themselves are only
+// loaded and saved when withEntries is set
+function updateCache(mutate, { withEntries = false } = {}) {
+  pendingWrite = pendingWrite
+    .then(async () => {
+      const [index, entries] = await Promise.all([
+        getResponseCacheIndex(),
+        withEntries ? getResponseCache() : null
+      ]);
+      mutate(index, entries);
+
+      try {
+        await Promise.all([
+          saveResponseCacheIndex(index),
+          withEntries && saveResponseCache(entries)
+        ]);
+      } catch (error) {
+        // Most likely the storage quota: shrink the cache to half its budget and retry once
+        console.warn('Response cache write failed, evicting:', error);
+        const current = entries || await getResponseCache();
+        evict(current, index, Date.now(), MAX_BYTES / 2);
+        await Promise.all([saveResponseCacheIndex(index), saveResponseCache(current)]);
+      }
+    })
+    .catch(error => console.error('Response cache write failed:', error));
+  return pendingWrite;
+}
+
+// Approximate storage size of one entry, as chrome.storage serializes it
+function measure(key, value) {
+  return key.length + JSON.stringify(value).length;
+}
+
+function evict(entries, index, now, maxBytes = MAX_BYTES) {
+  const keysByEndpoint = {};
+
+  Object.keys(entries).forEach(key => {
+    if (entries[key].expiresAt <= now) {
+      delete entries[key];
+      return;
+    }
+    const endpoint = key.slice(0, key.indexOf(':'));
+    (keysByEndpoint[endpoint] ||= []).push(key);
+  });
+
+  // Entries cached before the index existed count as used when stored
+  const lastUsed = key => index[key] ?? entries[key].lastUsed ?? entries[key].storedAt;
+
+  Object.entries(keysByEndpoint).forEach(([endpoint, keys]) => {
+    const limit = MAX_ENTRIES[endpoint] || 0;
+    if (keys.length <= limit) return;
+
+    keys
+      .sort((a, b) => lastUsed(a) - lastUsed(b))
+      .slice(0, keys.length - limit)
+      .forEach(key => delete entries[key]);
+  });
+
+  // Then the least recently used of any endpoint, until the cache fits its budget
+  const keys = Object.keys(entries);
+  keys.forEach(key => {
+    entries[key].size ??= measure(key, entries[key].value);
+  });
+  let totalBytes = keys.reduce((sum, key) => sum + entries[key].size, 0);
+
+  keys
+    .sort((a, b) => lastUsed(a) - lastUsed(b))
+    .forEach(key => {
+      if (totalBytes <= maxBytes) return;
+      totalBytes -= entries[key].size;
+      delete entries[key];
+    });
+
+  // Drop index entries for responses that are gone
+  Object.keys(index).forEach(key => {
+    if (!entries[key]) delete index[key];
+  });
+}
@@ -0,0 +1,69 @@
+// Summary statistics for comparing the same search across several areas
+
+import { calculatePriorMean } from './bayesian.js';
+import { CONFIG } from '../config/constants.js';
+
+/**
+ * Summarize one area's search
+ * @param {Array} places - Raw places that passed the filters
+ * @param {Array} scored - The same places scored by calculateScores
+ * @param {Array} results - Ranked results from rankPlaces, best first
+ * @returns {object} - { count, priorMean, medianScore, best, scores }
+ */
+export function summarizeArea(places, scored, results) {
+  const scores = scored.map(place => place.bayesianScore);
+  const best = results[0] || null;
+
+  return {
+    count: places.length,
+    priorMean: places.length > 0 ? calculatePriorMean(places.filter(place => typeof place.rating === 'number')) : null,
+    medianScore: median(scores),
+    best: best && {
+      placeId: best.placeId,
+      name: best.name,
+      rating: best.rating,
+      reviewCount: best.reviewCount,
+      score: best.bayesianScore
+    },
+    scores
+  };
+}
+
+/**
+ * Bin each area's scores over a shared range so histograms line up
+ * Popularity scores aren't on the star scale, so the range comes from the data.
+ * @param {Array<number[]>} scoreLists - Scores per area
+ * @param {number} [binCount]
+ * @returns {object} - { edges: number[binCount + 1], counts: number[][] }
+ */
+export function buildHistograms(scoreLists, binCount = CONFIG.COMPARE.HISTOGRAM_BINS) {
+  const all = scoreLists.flat();
+  if (all.length === 0) {
+    return { edges: [], counts: scoreLists.map(() => []) };
+  }
+
+  const min = Math.min(...all);
+  const width = (Math.max(...all) - min) / binCount || 0.1;
+  const edges = Array.from({ length: binCount + 1 }, (_, i) => min + i * width);
+
+  const counts = scoreLists.map(scores => {
+    const bins = new Array(binCount).fill(0);
+    scores.forEach(score => {
+      // The maximum lands in the last bin rather than one past it
+      bins[Math.min(Math.floor((score - min) / width), binCount - 1)]++;
+    });
+    return bins;
+  });
+
+  return { edges, counts };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
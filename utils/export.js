@@ -0,0 +1,212 @@
+// Export ranked results as CSV, JSON, GeoJSON and KML
+//
+// Every format carries the same fields: rank, place ID, name, coordinates,
+// rating, review count, scores and the search parameters that produced them,
+// so files can be loaded into spreadsheets, QGIS or Google My Maps.
+// Distance and radius are written in the user's units (distanceKm/radiusKm or
+// distanceMi/radiusMi).
+
+import { UNIT_SYSTEMS, fromKm } from './units.js';
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', build: toCsv },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', build: toJson },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', build: toGeoJson },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', build: toKml }
+};
+
+// A number or a coordinate pair, which CSV cells keep as typed
+const NUMERIC_TEXT = /^-?\d+(\.\d+)?(\s*,\s*-?\d+(\.\d+)?)?$/;
+
+/**
+ * Build an export file for the given results
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Array} results - Ranked result objects as shown in the popup
+ * @param {object} searchParams - Parameters of the search that produced them
+ * @param {object} [options]
+ * @param {string} [options.units] - 'metric' or 'imperial' for distance and radius
+ * @param {Date} [options.exportedAt]
+ * @returns {object} - { filename, mimeType, content }
+ */
+export function buildExport(format, results, searchParams, { units = 'metric', exportedAt = new Date() } = {}) {
+  const definition = EXPORT_FORMATS[format];
+  if (!definition) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const rows = toRows(results, searchParams, units);
+  const slug = String(searchParams.searchQuery || 'results')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') || 'results';
+
+  return {
+    filename: `maps-top-finder-${slug}-${exportedAt.toISOString().slice(0, 10)}.${definition.extension}`,
+    mimeType: definition.mimeType,
+    content: definition.build(rows, searchParams, exportedAt, units)
+  };
+}
+
+/**
+ * Flatten results and search parameters into one record per place
+ */
+function toRows(results, searchParams, units) {
+  const suffix = unitSuffix(units);
+  const convert = (km) => km !== null && km !== undefined ? roundDistance(fromKm(Number(km), units)) : null;
+
+  return results.map((result, index) => ({
+    rank: index + 1,
+    placeId: result.placeId,
+    name: result.name,
+    lat: typeof result.lat === 'number' ? result.lat : null,
+    lng: typeof result.lng === 'number' ? result.lng : null,
+    rating: result.rating,
+    reviewCount: result.reviewCount,
+    score: roundScore(result.bayesianScore),
+    blendedScore: roundScore(result.blendedScore),
+    [`distance${suffix}`]: convert(result.distanceKm),
+    address: result.address || '',
+    algorithm: searchParams.algorithm || '',
+    searchQuery: searchParams.searchQuery || '',
+    searchMode: searchParams.searchMode || '',
+    searchLocation: searchParams.location || '',
+    [`radius${suffix}`]: convert(searchParams.radiusKm),
+    googleMapsUrl: `https://www.google.com/maps/place/?q=place_id:${encodeURIComponent(result.placeId)}`
+  }));
+}
+
+function csvColumns(units) {
+  const suffix = unitSuffix(units);
+  return [
+    ['rank', 'rank'],
+    ['place_id', 'placeId'],
+    ['name', 'name'],
+    ['lat', 'lat'],
+    ['lng', 'lng'],
+    ['rating', 'rating'],
+    ['review_count', 'reviewCount'],
+    ['score', 'score'],
+    ['blended_score', 'blendedScore'],
+    [`distance_${suffix.toLowerCase()}`, `distance${suffix}`],
+    ['address', 'address'],
+    ['algorithm', 'algorithm'],
+    ['search_query', 'searchQuery'],
+    ['search_mode', 'searchMode'],
+    ['search_location', 'searchLocation'],
+    [`radius_${suffix.toLowerCase()}`, `radius${suffix}`],
+    ['google_maps_url', 'googleMapsUrl']
+  ];
+}
+
+function toCsv(rows, searchParams, exportedAt, units) {
+  const columns = csvColumns(units);
+  const header = columns.map(([column]) => column).join(',');
+  const lines = rows.map(row =>
+    columns.map(([, key]) => escapeCsv(row[key])).join(',')
+  );
+  // Byte-order mark so Excel reads accented names as UTF-8
+  return '\uFEFF' + [header, ...lines].join('\r\n') + '\r\n';
+}
+
+function toJson(rows, searchParams, exportedAt, units) {
+  return JSON.stringify({
+    exportedAt: exportedAt.toISOString(),
+    units,
+    searchParams,
+    results: rows
+  }, null, 2);
+}
+
+function toGeoJson(rows, searchParams, exportedAt, units) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    // Foreign member - ignored by GIS tools that don't know it
+    metadata: {
+      exportedAt: exportedAt.toISOString(),
+      units,
+      searchParams
+    },
+    features: rows.map(row => {
+      const { lat, lng, ...properties } = row;
+      return {
+        type: 'Feature',
+        id: row.placeId,
+        geometry: lat !== null && lng !== null
+          ? { type: 'Point', coordinates: [lng, lat] }
+          : null,
+        properties
+      };
+    })
+  }, null, 2);
+}
+
+function toKml(rows, searchParams, exportedAt, units) {
+  // Route searches have no radius
+  const area = searchParams.route
+    ? `along ${searchParams.location}`
+    : `${roundDistance(fromKm(Number(searchParams.radiusKm), units))} ${UNIT_SYSTEMS[units].abbreviation} from ${searchParams.location}`;
+
+  const placemarks = rows.map(row => {
+    const extendedData = Object.entries(row)
+      .filter(([key]) => key !== 'name' && key !== 'lat' && key !== 'lng')
+      .map(([key, value]) => `        <Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+      .join('\n');
+    const point = row.lat !== null && row.lng !== null
+      ? `\n      <Point><coordinates>${row.lng},${row.lat},0</coordinates></Point>`
+      : '';
+
+    return `    <Placemark>
+      <name>${escapeXml(`${row.rank}. ${row.name}`)}</name>
+      <description>${escapeXml(`★ ${row.rating} (${row.reviewCount} reviews) · Score ${row.score}${row.address ? ` · ${row.address}` : ''}`)}</description>
+      <ExtendedData>
+${extendedData}
+      </ExtendedData>${point}
+    </Placemark>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(`Maps Top Finder - ${searchParams.searchQuery || 'results'}`)}</name>
+    <description>${escapeXml(`${area} · ${searchParams.algorithm} · exported ${exportedAt.toISOString()}`)}</description>
+${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+// 'Km' or 'Mi', for field and column names
+function unitSuffix(units) {
+  const abbreviation = UNIT_SYSTEMS[units].abbreviation;
+  return abbreviation[0].toUpperCase() + abbreviation.slice(1);
+}
+
+function roundDistance(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function roundScore(score) {
+  return typeof score === 'number' ? Math.round(score * 1000) / 1000 : null;
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  // Place names and addresses come from Google and users; a leading quote keeps
+  // spreadsheets from running text such as "=HYPERLINK(...)" as a formula.
+  // Numbers are left alone, so negative coordinates stay numeric, and so is
+  // text that is only a number or a coordinate pair, like a typed "-34.6, -58.4"
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) && !NUMERIC_TEXT.test(value)
+    ? `'${value}`
+    : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeXml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,127 @@
+// Favorite places with notes, tags and visited status
+
+import { getFavorites, saveFavorites } from './storage.js';
+
+/**
+ * List favorites, most recently saved first
+ * @returns {Promise<Array>}
+ */
+export async function listFavorites() {
+  const favorites = await getFavorites();
+  return Object.values(favorites).sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Get the place IDs of all favorites
+ * @returns {Promise<Set<string>>}
+ */
+export async function getFavoriteIds() {
+  return new Set(Object.keys(await getFavorites()));
+}
+
+/**
+ * Save a ranked result as a favorite (keeps notes and tags if already saved)
+ * @param {object} result - Result object from rankPlaces
+ * @returns {Promise<object>} - The stored favorite
+ */
+export async function addFavorite(result) {
+  const favorites = await getFavorites();
+  const existing = favorites[result.placeId];
+
+  favorites[result.placeId] = {
+    note: '',
+    tags: [],
+    visited: false,
+    savedAt: Date.now(),
+    ...existing,
+    placeId: result.placeId,
+    name: result.name,
+    address: result.address || existing?.address || '',
+    rating: result.rating,
+    reviewCount: result.reviewCount,
+    lat: result.lat ?? existing?.lat ?? null,
+    lng: result.lng ?? existing?.lng ?? null
+  };
+
+  await saveFavorites(favorites);
+  return favorites[result.placeId];
+}
+
+/**
+ * Update the note, tags or visited flag of a favorite
+ * @param {string} placeId
+ * @param {object} changes - { note?, tags?, visited? }
+ * @returns {Promise<object|null>} - The updated favorite, or null if it isn't saved
+ */
+export async function updateFavorite(placeId, changes) {
+  const favorites = await getFavorites();
+  const favorite = favorites[placeId];
+  if (!favorite) return null;
+
+  if (typeof changes.note === 'string') favorite.note = changes.note.trim();
+  if (Array.isArray(changes.tags)) favorite.tags = normalizeTags(changes.tags);
+  if (typeof changes.visited === 'boolean') favorite.visited = changes.visited;
+
+  await saveFavorites(favorites);
+  return favorite;
+}
+
+/**
+ * Remove a favorite
+ * @param {string} placeId
+ * @returns {Promise<void>}
+ */
+export async function removeFavorite(placeId) {
+  const favorites = await getFavorites();
+  delete favorites[placeId];
+  await saveFavorites(favorites);
+}
+
+/**
+ * Parse a comma-separated tag list
+ * @param {string} text - e.g. "Date night, brunch"
+ * @returns {string[]} - e.g. ['date night', 'brunch']
+ */
+export function parseTags(text) {
+  return normalizeTags(String(text || '').split(','));
+}
+
+/**
+ * All tags in use, alphabetically
+ * @param {Array} favorites
+ * @returns {string[]}
+ */
+export function collectTags(favorites) {
+  return [...new Set(favorites.flatMap(favorite => favorite.tags))].sort();
+}
+
+/**
+ * Filter favorites by free text, tag and visited status
+ * @param {Array} favorites
+ * @param {object} criteria
+ * @param {string} [criteria.query] - Matched against name, address, note and tags
+ * @param {string} [criteria.tag] - Exact tag
+ * @param {string} [criteria.visited] - 'visited', 'not-visited' or '' for all
+ * @returns {Array}
+ */
+export function filterFavorites(favorites, { query = '', tag = '', visited = '' } = {}) {
+  const needle = query.trim().toLowerCase();
+
+  return favorites.filter(favorite => {
+    if (tag && !favorite.tags.includes(tag)) return false;
+    if (visited === 'visited' && !favorite.visited) return false;
+    if (visited === 'not-visited' && favorite.visited) return false;
+    if (!needle) return true;
+
+    return [favorite.name, favorite.address, favorite.note, ...favorite.tags]
+      .some(text => text && text.toLowerCase().includes(needle));
+  });
+}
+
+function normalizeTags(tags) {
+  return [...new Set(
+    tags
+      .map(tag => String(tag).trim().toLowerCase())
+      .filter(Boolean)
+  )];
+}
@@ -0,0 +1,99 @@
+// Search filters: open now, price level, minimum rating and minimum reviews
+//
+// Text Search supports openNow, minRating and priceLevels natively, so those
+// are pushed down into the request. Nearby Search has no equivalents, so every
+// filter is also applied client-side to whatever the API returns.
+
+// Google price levels, cheapest first (index = number of $ signs)
+export const PRICE_LEVELS = [
+  'PRICE_LEVEL_FREE',
+  'PRICE_LEVEL_INEXPENSIVE',
+  'PRICE_LEVEL_MODERATE',
+  'PRICE_LEVEL_EXPENSIVE',
+  'PRICE_LEVEL_VERY_EXPENSIVE'
+];
+
+/**
+ * Normalize raw filter values from the popup
+ * @param {object} [filters]
+ * @param {boolean} [filters.openNow] - Only places open right now
+ * @param {number} [filters.maxPriceLevel] - 1-4 ($ to $$$$), null for any
+ * @param {number} [filters.minRating] - Minimum star rating, null for any
+ * @param {number} [filters.minReviews] - Minimum review count, null for any
+ * @returns {object} - Filters with invalid values dropped to null
+ */
+export function normalizeFilters(filters = {}) {
+  const toNumber = (value, min, max) => {
+    const number = value === null || value === undefined || value === '' ? NaN : Number(value);
+    return Number.isFinite(number) && number >= min && number <= max ? number : null;
+  };
+
+  return {
+    openNow: filters.openNow === true,
+    maxPriceLevel: toNumber(filters.maxPriceLevel, 1, PRICE_LEVELS.length - 1),
+    minRating: toNumber(filters.minRating, 0.5, 5),
+    minReviews: toNumber(filters.minReviews, 1, Infinity)
+  };
+}
+
+/**
+ * Check whether any filter is set
+ * @param {object} filters - Normalized filters
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  return filters.openNow ||
+    filters.maxPriceLevel !== null ||
+    filters.minRating !== null ||
+    filters.minReviews !== null;
+}
+
+/**
+ * Build the Text Search request fields for the filters the API supports
+ * @param {object} filters - Normalized filters
+ * @returns {object} - Fields to merge into the searchText request body
+ */
+export function toTextSearchFilters(filters) {
+  const fields = {};
+
+  if (filters.openNow) {
+    fields.openNow = true;
+  }
+  if (filters.minRating !== null) {
+    // The API only accepts multiples of 0.5; round down and let applyFilters be exact
+    fields.minRating = Math.floor(filters.minRating * 2) / 2;
+  }
+  if (filters.maxPriceLevel !== null) {
+    // PRICE_LEVEL_FREE can't be requested, so start from inexpensive
+    fields.priceLevels = PRICE_LEVELS.slice(1, filters.maxPriceLevel + 1);
+  }
+
+  return fields;
+}
+
+/**
+ * Drop places that don't satisfy the filters
+ * Places with unknown hours or price level are excluded when that filter is
+ * set, matching how the API treats them.
+ * @param {Array} places - Raw place objects
+ * @param {object} filters - Normalized filters
+ * @returns {Array} - Matching places
+ */
+export function applyFilters(places, filters) {
+  return places.filter(place => {
+    if (filters.openNow && place.currentOpeningHours?.openNow !== true) {
+      return false;
+    }
+    if (filters.maxPriceLevel !== null) {
+      const level = PRICE_LEVELS.indexOf(place.priceLevel);
+      if (level === -1 || level > filters.maxPriceLevel) return false;
+    }
+    if (filters.minRating !== null && (place.rating || 0) < filters.minRating) {
+      return false;
+    }
+    if (filters.minReviews !== null && (place.userRatingCount || 0) < filters.minReviews) {
+      return false;
+    }
+    return true;
+  });
+}
@@ -0,0 +1,100 @@
+// Bounded history of past searches, with rank diffs between runs
+
+import { getSearchHistory, saveSearchHistory } from './storage.js';
+import { CONFIG } from '../config/constants.js';
+
+/**
+ * Record a completed search
+ * @param {object} entry
+ * @param {object} entry.request - SEARCH message payload, replayed on re-run
+ * @param {object} entry.searchParams - Display parameters for the results header
+ * @param {Array} entry.results - Ranked results shown for this run
+ * @param {object} entry.meta - { candidateCount, matchCount, fromCache, cachedAt }
+ * @returns {Promise<object>} - The stored entry, with id and timestamp
+ */
+export async function addHistoryEntry({ request, searchParams, results, meta }) {
+  // Session tokens are single-use and the cache flag is a per-run choice
+  const { bypassCache, ...replayable } = request;
+  const location = { ...replayable.location };
+  delete location.sessionToken;
+
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: Date.now(),
+    request: { ...replayable, location },
+    searchParams,
+    results,
+    meta: {
+      candidateCount: meta.candidateCount,
+      matchCount: meta.matchCount,
+      fromCache: meta.fromCache,
+      cachedAt: meta.cachedAt
+    }
+  };
+
+  const history = await getSearchHistory();
+  await saveSearchHistory([entry, ...history].slice(0, CONFIG.SEARCH_HISTORY_MAX_ENTRIES));
+  return entry;
+}
+
+/**
+ * List past searches, newest first
+ * @returns {Promise<Array>}
+ */
+export async function listHistory() {
+  return getSearchHistory();
+}
+
+/**
+ * Look up one past search
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export async function getHistoryEntry(id) {
+  const history = await getSearchHistory();
+  return history.find(entry => entry.id === id) || null;
+}
+
+/**
+ * Remove one past search
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function removeHistoryEntry(id) {
+  const history = await getSearchHistory();
+  await saveSearchHistory(history.filter(entry => entry.id !== id));
+}
+
+/**
+ * Compare two rankings of the same search
+ * @param {Array} previous - Earlier results ({ placeId, name }), best first
+ * @param {Array} current - Current results, best first
+ * @returns {object} - { changes: { [placeId]: { status, delta } }, dropped: [{ placeId, name, previousRank }] }
+ *   status is 'up', 'down', 'same' or 'new'; delta is the number of places moved
+ */
+export function diffRankings(previous, current) {
+  const previousRanks = new Map(previous.map((result, index) => [result.placeId, index + 1]));
+  const currentIds = new Set(current.map(result => result.placeId));
+  const changes = {};
+
+  current.forEach((result, index) => {
+    const rank = index + 1;
+    const previousRank = previousRanks.get(result.placeId);
+
+    if (previousRank === undefined) {
+      changes[result.placeId] = { status: 'new', delta: 0 };
+    } else if (previousRank > rank) {
+      changes[result.placeId] = { status: 'up', delta: previousRank - rank };
+    } else if (previousRank < rank) {
+      changes[result.placeId] = { status: 'down', delta: rank - previousRank };
+    } else {
+      changes[result.placeId] = { status: 'same', delta: 0 };
+    }
+  });
+
+  const dropped = previous
+    .map((result, index) => ({ placeId: result.placeId, name: result.name, previousRank: index + 1 }))
+    .filter(result => !currentIds.has(result.placeId));
+
+  return { changes, dropped };
+}
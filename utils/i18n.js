@@ -0,0 +1,84 @@
+// Localization: UI strings from _locales and locale settings for Places results
+//
+// UI strings follow the browser language (chrome.i18n can't be switched at
+// runtime). The language and region preference only affects what Google
+// returns and how numbers, distances and dates are formatted.
+
+import { getLocaleSettings } from './storage.js';
+import { UNIT_SYSTEMS, fromKm } from './units.js';
+
+/**
+ * Look up a UI string
+ * @param {string} key - Message name in _locales/<lang>/messages.json
+ * @param {string|Array<string|number>} [substitutions] - Values for $1..$9
+ * @returns {string} - The message, or the key when it is missing
+ */
+export function t(key, substitutions) {
+  const values = substitutions === undefined
+    ? undefined
+    : [].concat(substitutions).map(String);
+  return chrome.i18n.getMessage(key, values) || key;
+}
+
+/**
+ * Fill in text and attributes of elements marked with data-i18n attributes
+ * data-i18n sets textContent; data-i18n-placeholder, data-i18n-title and
+ * data-i18n-aria-label set the matching attribute.
+ * @param {ParentNode} [root]
+ */
+export function localizePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+
+  [['i18nPlaceholder', 'placeholder'], ['i18nTitle', 'title'], ['i18nAriaLabel', 'aria-label']].forEach(([dataKey, attribute]) => {
+    const selector = `[data-${dataKey.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}]`;
+    root.querySelectorAll(selector).forEach(element => {
+      element.setAttribute(attribute, t(element.dataset[dataKey]));
+    });
+  });
+
+  document.documentElement.lang = chrome.i18n.getUILanguage();
+}
+
+/**
+ * Resolve the language and region sent to the Places API
+ * Unset preferences fall back to the browser language and its region subtag.
+ * @returns {Promise<{languageCode: string, regionCode: string|null, tag: string}>}
+ */
+export async function getPlacesLocale() {
+  const { language, region } = await getLocaleSettings();
+  const uiLanguage = chrome.i18n.getUILanguage();
+  const uiRegion = uiLanguage.split(/[-_]/)[1] || null;
+
+  const languageCode = language || uiLanguage;
+  const regionCode = (region || (language ? null : uiRegion))?.toUpperCase() || null;
+  const tag = regionCode && !languageCode.includes('-') ? `${languageCode}-${regionCode}` : languageCode;
+
+  return { languageCode, regionCode, tag };
+}
+
+/**
+ * Number, distance and date formatting for one locale
+ * @param {string} [tag] - BCP 47 locale tag (browser default when omitted)
+ * @param {string} [units] - 'metric' or 'imperial' for distances
+ * @returns {object} - { number, decimal, distance, date, count }
+ */
+export function getFormatter(tag, units = 'metric') {
+  const pluralRules = new Intl.PluralRules(tag);
+  const number = (value, options) => new Intl.NumberFormat(tag, options).format(value);
+
+  return {
+    number,
+    // Fixed number of decimals, like toFixed but with the locale's separators
+    decimal: (value, digits) => number(value, { minimumFractionDigits: digits, maximumFractionDigits: digits }),
+    distance: (km) => number(fromKm(km, units), { style: 'unit', unit: UNIT_SYSTEMS[units].unit, maximumFractionDigits: 1 }),
+    date: (timestamp) => new Date(timestamp).toLocaleString(tag),
+    // Pluralized count from <key>_one / <key>_other messages
+    count: (key, value) => {
+      const form = pluralRules.select(value);
+      const message = chrome.i18n.getMessage(`${key}_${form}`, [number(value)]);
+      return message || t(`${key}_other`, number(value));
+    }
+  };
+}
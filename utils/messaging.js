@@ -1,9 +1,15 @@
-// Message passing utilities between popup and service worker
+// Message passing utilities between the extension's pages, content script and service worker
 
 export const MessageTypes = {
   SEARCH: 'SEARCH',
   AUTOCOMPLETE: 'AUTOCOMPLETE',
-  GET_LOCATION: 'GET_LOCATION'
+  GET_LOCATION: 'GET_LOCATION',
+  GET_PLACE_DETAILS: 'GET_PLACE_DETAILS',
+  COMPARE_AREAS: 'COMPARE_AREAS',
+  SCORE_MAPS_PLACES: 'SCORE_MAPS_PLACES',
+  GET_SESSION: 'GET_SESSION',
+  UPDATE_SESSION: 'UPDATE_SESSION',
+  SESSION_CHANGED: 'SESSION_CHANGED' // Sent by the service worker to every open view
 };
 
 /**
@@ -0,0 +1,51 @@
+// Offline mini-map of a search: center, radius circle and ranked pins
+//
+// The popup's CSP rules out map tiles, so the map is plain SVG geometry. Points
+// use an equirectangular projection scaled by cos(latitude) around the center,
+// which keeps the radius a true circle at the few-kilometre scale of a search.
+
+const KM_PER_DEGREE = 111.32;
+
+/**
+ * Project the search center, radius and result pins into SVG coordinates
+ * The view fits the radius circle and every pin, so results from tiled or
+ * route searches outside the circle stay visible.
+ * @param {object} center - {lat, lng}
+ * @param {number|null} radiusKm - Search radius, null for route searches
+ * @param {Array} pins - [{ id, lat, lng }]; pins without coordinates are skipped
+ * @param {object} size - { width, height, padding } in SVG units
+ * @returns {object} - { center: {x, y}, radius: px or null, pins: [{ id, x, y }] }
+ */
+export function projectMiniMap(center, radiusKm, pins, { width, height, padding }) {
+  const cosLat = Math.cos(center.lat * Math.PI / 180);
+  // Kilometres east and north of the center
+  const toKm = ({ lat, lng }) => ({
+    x: (lng - center.lng) * KM_PER_DEGREE * cosLat,
+    y: (lat - center.lat) * KM_PER_DEGREE
+  });
+
+  const placed = pins
+    .filter(pin => typeof pin.lat === 'number' && typeof pin.lng === 'number')
+    .map(pin => ({ id: pin.id, ...toKm(pin) }));
+
+  const extentKm = Math.max(
+    radiusKm || 0,
+    ...placed.map(pin => Math.max(Math.abs(pin.x), Math.abs(pin.y))),
+    0.1
+  );
+  const scale = (Math.min(width, height) / 2 - padding) / extentKm;
+  const project = ({ x, y }) => ({
+    x: round(width / 2 + x * scale),
+    y: round(height / 2 - y * scale)
+  });
+
+  return {
+    center: project({ x: 0, y: 0 }),
+    radius: radiusKm ? round(radiusKm * scale) : null,
+    pins: placed.map(pin => ({ id: pin.id, ...project(pin) }))
+  };
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
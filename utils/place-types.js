@@ -0,0 +1,362 @@
+// Catalog of Google place types (Places API Table A) used by category search
+//
+// Table A types can be used both to filter searches (includedTypes,
+// excludedTypes) and appear in responses. Labels come from _locales
+// (placeType_<type>, placeTypeSection_<id>); the English label is derived from
+// the type id unless listed in LABEL_OVERRIDES, and is used when a locale
+// lacks a translation.
+
+import { getPlaceTypePicks, savePlaceTypePicks } from './storage.js';
+import { t } from './i18n.js';
+import { CONFIG } from '../config/constants.js';
+
+// Sections in the order the picker lists them, with their English names
+const SECTIONS = [
+  {
+    id: 'food_drink',
+    label: 'Food & Drink',
+    types: [
+      'restaurant', 'cafe', 'coffee_shop', 'bar', 'pub', 'wine_bar', 'bar_and_grill', 'bakery',
+      'acai_shop', 'bagel_shop', 'candy_store', 'cat_cafe', 'chocolate_factory', 'chocolate_shop',
+      'confectionery', 'deli', 'dessert_restaurant', 'dessert_shop', 'diner', 'dog_cafe', 'donut_shop',
+      'fast_food_restaurant', 'fine_dining_restaurant', 'food_court', 'cafeteria', 'buffet_restaurant',
+      'ice_cream_shop', 'juice_shop', 'sandwich_shop', 'tea_house', 'meal_delivery', 'meal_takeaway',
+      'afghani_restaurant', 'african_restaurant', 'american_restaurant', 'asian_restaurant',
+      'barbecue_restaurant', 'brazilian_restaurant', 'breakfast_restaurant', 'brunch_restaurant',
+      'chinese_restaurant', 'french_restaurant', 'greek_restaurant', 'hamburger_restaurant',
+      'indian_restaurant', 'indonesian_restaurant', 'italian_restaurant', 'japanese_restaurant',
+      'korean_restaurant', 'lebanese_restaurant', 'mediterranean_restaurant', 'mexican_restaurant',
+      'middle_eastern_restaurant', 'pizza_restaurant', 'ramen_restaurant', 'seafood_restaurant',
+      'spanish_restaurant', 'steak_house', 'sushi_restaurant', 'thai_restaurant', 'turkish_restaurant',
+      'vegan_restaurant', 'vegetarian_restaurant', 'vietnamese_restaurant'
+    ]
+  },
+  {
+    id: 'shopping',
+    label: 'Shopping',
+    types: [
+      'grocery_store', 'supermarket', 'asian_grocery_store', 'convenience_store', 'food_store', 'market',
+      'butcher_shop', 'liquor_store', 'shopping_mall', 'department_store', 'discount_store',
+      'warehouse_store', 'wholesaler', 'store', 'clothing_store', 'shoe_store', 'jewelry_store',
+      'gift_shop', 'book_store', 'electronics_store', 'cell_phone_store', 'furniture_store',
+      'home_goods_store', 'home_improvement_store', 'hardware_store', 'auto_parts_store',
+      'bicycle_store', 'sporting_goods_store', 'pet_store'
+    ]
+  },
+  {
+    id: 'services',
+    label: 'Services',
+    types: [
+      'barber_shop', 'hair_salon', 'hair_care', 'beauty_salon', 'beautician', 'nail_salon',
+      'makeup_artist', 'body_art_service', 'foot_care', 'laundry', 'tailor', 'electrician', 'plumber',
+      'painter', 'roofing_contractor', 'locksmith', 'moving_company', 'storage', 'courier_service',
+      'catering_service', 'food_delivery', 'florist', 'veterinary_care', 'child_care_agency',
+      'summer_camp_organizer', 'lawyer', 'consultant', 'insurance_agency', 'real_estate_agency',
+      'telecommunications_service_provider', 'travel_agency', 'tour_agency',
+      'tourist_information_center', 'funeral_home', 'cemetery', 'astrologer', 'psychic'
+    ]
+  },
+  {
+    id: 'health_wellness',
+    label: 'Health & Wellness',
+    types: [
+      'pharmacy', 'drugstore', 'hospital', 'doctor', 'dentist', 'dental_clinic', 'medical_lab',
+      'chiropractor', 'physiotherapist', 'skin_care_clinic', 'massage', 'spa', 'sauna',
+      'tanning_studio', 'wellness_center', 'yoga_studio'
+    ]
+  },
+  {
+    id: 'sports',
+    label: 'Sports',
+    types: [
+      'gym', 'fitness_center', 'swimming_pool', 'sports_club', 'sports_complex', 'sports_coaching',
+      'sports_activity_location', 'athletic_field', 'arena', 'stadium', 'golf_course',
+      'ice_skating_rink', 'ski_resort', 'playground', 'fishing_charter', 'fishing_pond'
+    ]
+  },
+  {
+    id: 'entertainment_recreation',
+    label: 'Entertainment & Recreation',
+    types: [
+      'park', 'national_park', 'state_park', 'dog_park', 'cycling_park', 'skateboard_park', 'garden',
+      'botanical_garden', 'hiking_area', 'picnic_ground', 'barbecue_area', 'plaza', 'marina',
+      'off_roading_area', 'adventure_sports_center', 'amusement_center', 'amusement_park',
+      'water_park', 'roller_coaster', 'ferris_wheel', 'zoo', 'aquarium', 'wildlife_park',
+      'wildlife_refuge', 'tourist_attraction', 'visitor_center', 'observation_deck',
+      'historical_landmark', 'movie_theater', 'movie_rental', 'bowling_alley', 'video_arcade',
+      'internet_cafe', 'karaoke', 'night_club', 'comedy_club', 'dance_hall', 'casino',
+      'concert_hall', 'opera_house', 'philharmonic_hall', 'amphitheatre', 'planetarium',
+      'event_venue', 'banquet_hall', 'wedding_venue', 'convention_center', 'community_center',
+      'cultural_center', 'childrens_camp'
+    ]
+  },
+  {
+    id: 'culture',
+    label: 'Culture',
+    types: [
+      'museum', 'art_gallery', 'art_studio', 'performing_arts_theater', 'auditorium',
+      'cultural_landmark', 'historical_place', 'monument', 'sculpture'
+    ]
+  },
+  {
+    id: 'lodging',
+    label: 'Lodging',
+    types: [
+      'hotel', 'motel', 'lodging', 'resort_hotel', 'extended_stay_hotel', 'inn', 'hostel',
+      'guest_house', 'bed_and_breakfast', 'private_guest_room', 'cottage', 'farmstay',
+      'japanese_inn', 'budget_japanese_inn', 'campground', 'camping_cabin', 'rv_park',
+      'mobile_home_park'
+    ]
+  },
+  {
+    id: 'automotive',
+    label: 'Automotive',
+    types: [
+      'gas_station', 'electric_vehicle_charging_station', 'car_wash', 'car_repair', 'car_dealer',
+      'car_rental', 'parking', 'rest_stop'
+    ]
+  },
+  {
+    id: 'transportation',
+    label: 'Transportation',
+    types: [
+      'airport', 'international_airport', 'airstrip', 'heliport', 'train_station', 'subway_station',
+      'light_rail_station', 'transit_station', 'transit_depot', 'bus_station', 'bus_stop',
+      'ferry_terminal', 'taxi_stand', 'park_and_ride', 'truck_stop'
+    ]
+  },
+  {
+    id: 'finance',
+    label: 'Finance',
+    types: ['atm', 'bank', 'accounting']
+  },
+  {
+    id: 'education',
+    label: 'Education',
+    types: ['library', 'preschool', 'primary_school', 'secondary_school', 'school', 'university']
+  },
+  {
+    id: 'government',
+    label: 'Government',
+    types: [
+      'city_hall', 'courthouse', 'embassy', 'fire_station', 'police', 'neighborhood_police_station',
+      'post_office', 'government_office', 'local_government_office'
+    ]
+  },
+  {
+    id: 'worship',
+    label: 'Places of Worship',
+    types: ['church', 'mosque', 'synagogue', 'hindu_temple']
+  },
+  {
+    id: 'facilities',
+    label: 'Facilities',
+    types: ['public_bath', 'public_bathroom', 'stable']
+  },
+  {
+    id: 'housing',
+    label: 'Housing',
+    types: ['apartment_building', 'apartment_complex', 'condominium_complex', 'housing_complex']
+  },
+  {
+    id: 'business',
+    label: 'Business',
+    types: ['corporate_office', 'farm', 'ranch']
+  },
+  {
+    id: 'natural_features',
+    label: 'Natural Features',
+    types: ['beach']
+  },
+  {
+    id: 'geographical_areas',
+    label: 'Geographical Areas',
+    types: [
+      'country', 'administrative_area_level_1', 'administrative_area_level_2', 'locality',
+      'postal_code', 'school_district'
+    ]
+  }
+];
+
+// Labels that don't follow from the type id
+const LABEL_OVERRIDES = {
+  atm: 'ATM',
+  car_repair: 'Auto Repair',
+  rv_park: 'RV Park',
+  acai_shop: 'Açaí Shop',
+  bed_and_breakfast: 'Bed & Breakfast',
+  bar_and_grill: 'Bar & Grill',
+  childrens_camp: "Children's Camp",
+  body_art_service: 'Tattoo & Piercing',
+  electric_vehicle_charging_station: 'EV Charging Station',
+  telecommunications_service_provider: 'Telecom Provider',
+  meal_takeaway: 'Takeaway',
+  administrative_area_level_1: 'State / Province',
+  administrative_area_level_2: 'County / District',
+  locality: 'City / Town'
+};
+
+// Extra words a type should match in the picker
+const SEARCH_ALIASES = {
+  cafe: ['coffee'],
+  car_repair: ['mechanic', 'garage'],
+  gym: ['fitness'],
+  atm: ['cash machine'],
+  pharmacy: ['chemist'],
+  barber_shop: ['haircut'],
+  hair_salon: ['haircut'],
+  meal_takeaway: ['take out'],
+  body_art_service: ['tattoo', 'piercing'],
+  veterinary_care: ['vet'],
+  night_club: ['club'],
+  hindu_temple: ['temple'],
+  lodging: ['accommodation']
+};
+
+function formatTypeId(type) {
+  return type
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function getEnglishLabel(type) {
+  return LABEL_OVERRIDES[type] || formatTypeId(type);
+}
+
+function getSectionLabel(section) {
+  return chrome.i18n.getMessage(`placeTypeSection_${section.id}`) || section.label;
+}
+
+/**
+ * Every catalog type: { type, label, section }, in picker order
+ * Labels and section names are in the UI language.
+ * @type {Array<{type: string, label: string, section: string}>}
+ */
+export const PLACE_TYPES = SECTIONS.flatMap(section =>
+  section.types.map(type => ({
+    type,
+    label: chrome.i18n.getMessage(`placeType_${type}`) || getEnglishLabel(type),
+    section: getSectionLabel(section)
+  }))
+);
+
+const TYPES_BY_ID = new Map(PLACE_TYPES.map(entry => [entry.type, entry]));
+
+// English label and section of each type, so English words still match in any UI language
+const ENGLISH_TERMS = new Map(SECTIONS.flatMap(section =>
+  section.types.map(type => [type, [getEnglishLabel(type), section.label].map(normalize)])
+));
+
+/**
+ * Section names in picker order, in the UI language
+ * @type {string[]}
+ */
+export const PLACE_TYPE_SECTIONS = SECTIONS.map(getSectionLabel);
+
+/**
+ * Check whether a type is in the catalog
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isPlaceType(type) {
+  return TYPES_BY_ID.has(type);
+}
+
+/**
+ * Display name for a place type (falls back to the formatted type id)
+ * @param {string} type
+ * @returns {string}
+ */
+export function getPlaceTypeLabel(type) {
+  return TYPES_BY_ID.get(type)?.label || formatTypeId(type || '');
+}
+
+/**
+ * Find catalog types matching a type-ahead query
+ * Prefixes of the localized label rank first, then word starts, then any
+ * substring of the label, type id, section, English label or aliases.
+ * Matching ignores case and accents. Ties keep catalog order.
+ * @param {string} query
+ * @param {number} [limit]
+ * @returns {Array<{type: string, label: string, section: string}>}
+ */
+export function searchPlaceTypes(query, limit = CONFIG.TYPE_PICKER.MAX_SUGGESTIONS) {
+  const needle = normalize(query.trim().replace(/_/g, ' '));
+  if (!needle) return PLACE_TYPES.slice(0, limit);
+
+  const matches = [];
+  PLACE_TYPES.forEach((entry, index) => {
+    const label = normalize(entry.label);
+    let rank;
+    if (label.startsWith(needle)) {
+      rank = 0;
+    } else if (label.split(/[\s/&-]+/).some(word => word.startsWith(needle))) {
+      rank = 1;
+    } else if ([label, entry.type.replace(/_/g, ' '), normalize(entry.section), ...ENGLISH_TERMS.get(entry.type), ...(SEARCH_ALIASES[entry.type] || [])]
+      .some(text => text.includes(needle))) {
+      rank = 2;
+    } else {
+      return;
+    }
+    matches.push({ entry, rank, index });
+  });
+
+  return matches
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .slice(0, limit)
+    .map(match => match.entry);
+}
+
+// Lower case without accents, so "cafeteria" finds "Cafetería"
+function normalize(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Get recently used and pinned types
+ * @returns {Promise<{recent: string[], pinned: string[]}>}
+ */
+export async function getTypePicks() {
+  const picks = await getPlaceTypePicks();
+  return {
+    recent: picks.recent.filter(isPlaceType),
+    pinned: picks.pinned.filter(isPlaceType)
+  };
+}
+
+/**
+ * Move types to the front of the recent list
+ * @param {string[]} types
+ * @returns {Promise<string[]>} - Updated recent list
+ */
+export async function recordRecentTypes(types) {
+  const picks = await getPlaceTypePicks();
+  const used = types.filter(isPlaceType);
+  const recent = [...used, ...picks.recent.filter(type => !used.includes(type))]
+    .slice(0, CONFIG.TYPE_PICKER.MAX_RECENT);
+
+  await savePlaceTypePicks({ ...picks, recent });
+  return recent;
+}
+
+/**
+ * Pin or unpin a type
+ * @param {string} type
+ * @returns {Promise<string[]>} - Updated pinned list
+ */
+export async function togglePinnedType(type) {
+  const picks = await getPlaceTypePicks();
+  let pinned;
+
+  if (picks.pinned.includes(type)) {
+    pinned = picks.pinned.filter(pinnedType => pinnedType !== type);
+  } else if (picks.pinned.length >= CONFIG.TYPE_PICKER.MAX_PINNED) {
+    throw new Error(t('errorTooManyPins', CONFIG.TYPE_PICKER.MAX_PINNED));
+  } else {
+    pinned = [...picks.pinned, type];
+  }
+
+  await savePlaceTypePicks({ ...picks, pinned });
+  return pinned;
+}
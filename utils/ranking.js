@@ -0,0 +1,39 @@
+// Turn raw Places API results into the ranked result objects the popup shows
+//
+// Shared by the service worker (after a search) and the popup (when scoring
+// parameters change), so re-ranking never needs another API call.
+
+import { calculateScores } from './bayesian.js';
+import { applyTravelTimes } from './travel.js';
+import { CONFIG } from '../config/constants.js';
+
+/**
+ * Score raw places and return the top N as display-ready results
+ * @param {Array} places - Raw place objects from the Places API
+ * @param {string} algorithm - Scoring algorithm id
+ * @param {object} [params] - Scoring parameter overrides
+ * @param {object} [options]
+ * @param {number} [options.limit] - How many results to keep
+ * @param {object} [options.travel] - Normalized travel options to filter or blend by travel time
+ * @returns {Array} - Result objects for the popup
+ */
+export function rankPlaces(places, algorithm, params = {}, { limit = CONFIG.TOP_RESULTS_TO_SHOW, travel = null } = {}) {
+  const scored = applyTravelTimes(calculateScores(places, algorithm, params), travel);
+
+  return scored.slice(0, limit).map(place => ({
+    placeId: place.id,
+    name: place.displayName?.text || 'Unknown',
+    rating: place.rating || 0,
+    reviewCount: place.userRatingCount || 0,
+    bayesianScore: place.bayesianScore,
+    blendedScore: place.blendedScore ?? null,
+    address: place.formattedAddress || place.shortFormattedAddress || '',
+    primaryType: place.primaryType || null,
+    primaryTypeLabel: place.primaryTypeDisplayName?.text || null,
+    lat: place.location?.latitude ?? null,
+    lng: place.location?.longitude ?? null,
+    distanceKm: place.distanceMeters ? (place.distanceMeters / 1000).toFixed(1) : null,
+    detourKm: typeof place.detourMeters === 'number' ? (place.detourMeters / 1000).toFixed(1) : null,
+    travelMinutes: typeof place.travelSeconds === 'number' ? Math.round(place.travelSeconds / 60) : null
+  }));
+}
@@ -0,0 +1,54 @@
+// Encoded polylines for searches along a route
+//
+// Routes are passed around in Google's encoded polyline format. A polyline
+// pasted by the user has no origin or length attached, so both are read from
+// its points here.
+
+import { haversineDistance } from './api.js';
+import { t } from './i18n.js';
+
+/**
+ * Decode a Google encoded polyline
+ * @param {string} encoded - Encoded polyline (precision 5)
+ * @returns {Array} - [{ lat, lng }]
+ */
+export function decodePolyline(encoded) {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const readValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) {
+        throw new Error(t('errorInvalidPolyline'));
+      }
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    // Zigzag encoding: the low bit holds the sign
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += readValue();
+    lng += readValue();
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+
+  return points;
+}
+
+/**
+ * Length of a path along its points
+ * @param {Array} points - [{ lat, lng }]
+ * @returns {number} - Length in meters
+ */
+export function pathLength(points) {
+  return points.slice(1).reduce((total, point, i) =>
+    total + haversineDistance(points[i].lat, points[i].lng, point.lat, point.lng), 0);
+}
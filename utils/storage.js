@@ -5,7 +5,18 @@ const STORAGE_KEYS = {
   API_KEY_ENCRYPTED: 'maps_finder_api_key_enc',
   PREFERENCES: 'maps_finder_preferences',
   LAST_RESULTS: 'maps_finder_last_results',
-  IP_LOCATION_CONSENT: 'maps_finder_ip_consent'
+  IP_LOCATION_CONSENT: 'maps_finder_ip_consent',
+  RESPONSE_CACHE: 'maps_finder_response_cache',
+  RESPONSE_CACHE_INDEX: 'maps_finder_response_cache_index',
+  API_USAGE: 'maps_finder_api_usage',
+  USAGE_BUDGET: 'maps_finder_usage_budget',
+  FAVORITES: 'maps_finder_favorites',
+  SEARCH_HISTORY: 'maps_finder_search_history',
+  WATCHES: 'maps_finder_watches',
+  RATING_HISTORY: 'maps_finder_rating_history',
+  PLACE_TYPE_PICKS: 'maps_finder_place_type_picks',
+  LOCALE: 'maps_finder_locale',
+  SESSION_STATE: 'maps_finder_session_state'
 };
 
 /**
@@ -171,6 +182,30 @@ export async function clearLastResults() {
   });
 }
 
+/**
+ * Get the view state shared by the popup and side panel
+ * Kept in session storage, so it outlives the service worker but not the browser.
+ * @returns {Promise<object|null>} - { search, draft }
+ */
+export async function getSessionState() {
+  return new Promise((resolve) => {
+    chrome.storage.session.get([STORAGE_KEYS.SESSION_STATE], (result) => {
+      resolve(result[STORAGE_KEYS.SESSION_STATE] || null);
+    });
+  });
+}
+
+/**
+ * Save the view state shared by the popup and side panel
+ * @param {object} session - { search, draft }
+ * @returns {Promise<void>}
+ */
+export async function saveSessionState(session) {
+  return new Promise((resolve) => {
+    chrome.storage.session.set({ [STORAGE_KEYS.SESSION_STATE]: session }, resolve);
+  });
+}
+
 /**
  * Clear all stored data
  * @returns {Promise<void>}
@@ -178,7 +213,7 @@ export async function clearLastResults() {
 export async function clearAll() {
   return new Promise((resolve) => {
     chrome.storage.local.remove(
-      [STORAGE_KEYS.API_KEY, STORAGE_KEYS.API_KEY_ENCRYPTED, STORAGE_KEYS.PREFERENCES, STORAGE_KEYS.LAST_RESULTS, STORAGE_KEYS.IP_LOCATION_CONSENT],
+      [STORAGE_KEYS.API_KEY, STORAGE_KEYS.API_KEY_ENCRYPTED, STORAGE_KEYS.PREFERENCES, STORAGE_KEYS.LAST_RESULTS, STORAGE_KEYS.IP_LOCATION_CONSENT, STORAGE_KEYS.RESPONSE_CACHE, STORAGE_KEYS.RESPONSE_CACHE_INDEX, STORAGE_KEYS.API_USAGE, STORAGE_KEYS.USAGE_BUDGET, STORAGE_KEYS.FAVORITES, STORAGE_KEYS.SEARCH_HISTORY, STORAGE_KEYS.WATCHES, STORAGE_KEYS.RATING_HISTORY, STORAGE_KEYS.PLACE_TYPE_PICKS, STORAGE_KEYS.LOCALE],
       resolve
     );
   });
@@ -206,3 +241,256 @@ export async function saveIPLocationConsent(consent) {
     chrome.storage.local.set({ [STORAGE_KEYS.IP_LOCATION_CONSENT]: consent }, resolve);
   });
 }
+
+/**
+ * Get cached API responses
+ * @returns {Promise<object>} - Map of cache key to { value, storedAt, expiresAt, size }
+ */
+export async function getResponseCache() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.RESPONSE_CACHE], (result) => {
+      resolve(result[STORAGE_KEYS.RESPONSE_CACHE] || {});
+    });
+  });
+}
+
+/**
+ * Save cached API responses
+ * @param {object} entries - Map of cache key to entry
+ * @returns {Promise<void>} - Rejects when the write fails, e.g. over the storage quota
+ */
+export async function saveResponseCache(entries) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [STORAGE_KEYS.RESPONSE_CACHE]: entries }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Get when each cached response was last used
+ * @returns {Promise<object>} - Map of cache key to timestamp
+ */
+export async function getResponseCacheIndex() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.RESPONSE_CACHE_INDEX], (result) => {
+      resolve(result[STORAGE_KEYS.RESPONSE_CACHE_INDEX] || {});
+    });
+  });
+}
+
+/**
+ * Save when each cached response was last used
+ * @param {object} index - Map of cache key to timestamp
+ * @returns {Promise<void>} - Rejects when the write fails, e.g. over the storage quota
+ */
+export async function saveResponseCacheIndex(index) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [STORAGE_KEYS.RESPONSE_CACHE_INDEX]: index }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Get recorded API usage counters
+ * @returns {Promise<object>} - { days: { 'YYYY-MM-DD': counts }, months: { 'YYYY-MM': counts } }
+ */
+export async function getApiUsage() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.API_USAGE], (result) => {
+      resolve(result[STORAGE_KEYS.API_USAGE] || { days: {}, months: {} });
+    });
+  });
+}
+
+/**
+ * Save API usage counters
+ * @param {object} usage
+ * @returns {Promise<void>}
+ */
+export async function saveApiUsage(usage) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [STORAGE_KEYS.API_USAGE]: usage }, resolve);
+  });
+}
+
+/**
+ * Get monthly budget in USD
+ * @returns {Promise<number|null>} - null when no budget is set
+ */
+export async function getUsageBudget() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.USAGE_BUDGET], (result) => {
+      const budget = result[STORAGE_KEYS.USAGE_BUDGET];
+      resolve(typeof budget === 'number' ? budget : null);
+    });
+  });
+}
+
+/**
+ * Save monthly budget in USD
+ * @param {number|null} budget - null removes the cap
+ * @returns {Promise<void>}
+ */
+export async function saveUsageBudget(budget) {
+  return new Promise((resolve) => {
+    if (budget === null) {
+      chrome.storage.local.remove([STORAGE_KEYS.USAGE_BUDGET], resolve);
+    } else {
+      chrome.storage.local.set({ [STORAGE_KEYS.USAGE_BUDGET]: budget }, resolve);
+    }
+  });
+}
+
+/**
+ * Get favorite places
+ * @returns {Promise<object>} - Map of place ID to favorite
+ */
+export async function getFavorites() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.FAVORITES], (result) => {
+      resolve(result[STORAGE_KEYS.FAVORITES] || {});
+    });
+  });
+}
+
+/**
+ * Save favorite places
+ * @param {object} favorites - Map of place ID to favorite
+ * @returns {Promise<void>}
+ */
+export async function saveFavorites(favorites) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [STORAGE_KEYS.FAVORITES]: favorites }, resolve);
+  });
+}
+
+/**
+ * Get past searches
+ * @returns {Promise<Array>} - History entries, newest first
+ */
+export async function getSearchHistory() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.SEARCH_HISTORY], (result) => {
+      resolve(result[STORAGE_KEYS.SEARCH_HISTORY] || []);
+    });
+  });
+}
+
+/**
+ * Save past searches
+ * @param {Array} entries - History entries, newest first
+ * @returns {Promise<void>}
+ */
+export async function saveSearchHistory(entries) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [STORAGE_KEYS.SEARCH_HISTORY]: entries }, resolve);
+  });
+}
+
+/**
+ * Get saved-search watches
+ * @returns {Promise<Array>}
+ */
+export async function getWatches() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.WATCHES], (result) => {
+      resolve(result[STORAGE_KEYS.WATCHES] || []);
+    });
+  });
+}
+
+/**
+ * Save saved-search watches
+ * @param {Array} watches
+ * @returns {Promise<void>}
+ */
+export async function saveWatches(watches) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [STORAGE_KEYS.WATCHES]: watches }, resolve);
+  });
+}
+
+/**
+ * Get recorded rating observations
+ * @returns {Promise<object>} - Map of place ID to [[timestamp, rating, reviewCount], ...]
+ */
+export async function getRatingHistory() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.RATING_HISTORY], (result) => {
+      resolve(result[STORAGE_KEYS.RATING_HISTORY] || {});
+    });
+  });
+}
+
+/**
+ * Save rating observations
+ * @param {object} history - Map of place ID to observation series
+ * @returns {Promise<void>} - Rejects when the write fails, e.g. over the storage quota
+ */
+export async function saveRatingHistory(history) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [STORAGE_KEYS.RATING_HISTORY]: history }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Get recently used and pinned place types
+ * @returns {Promise<object>} - { recent: string[], pinned: string[] }
+ */
+export async function getPlaceTypePicks() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.PLACE_TYPE_PICKS], (result) => {
+      resolve({ recent: [], pinned: [], ...result[STORAGE_KEYS.PLACE_TYPE_PICKS] });
+    });
+  });
+}
+
+/**
+ * Save recently used and pinned place types
+ * @param {object} picks - { recent, pinned }
+ * @returns {Promise<void>}
+ */
+export async function savePlaceTypePicks(picks) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [STORAGE_KEYS.PLACE_TYPE_PICKS]: picks }, resolve);
+  });
+}
+
+/**
+ * Get the language, region and units preference
+ * @returns {Promise<object>} - { language, region, units }, empty strings for automatic
+ */
+export async function getLocaleSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.LOCALE], (result) => {
+      resolve({ language: '', region: '', units: '', ...result[STORAGE_KEYS.LOCALE] });
+    });
+  });
+}
+
+/**
+ * Save the language, region and units preference
+ * @param {object} settings - { language, region, units }
+ * @returns {Promise<void>}
+ */
+export async function saveLocaleSettings(settings) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [STORAGE_KEYS.LOCALE]: settings }, resolve);
+  });
+}
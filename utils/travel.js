@@ -0,0 +1,67 @@
+// Travel-time ranking: walking, driving, cycling or transit time from the search center
+//
+// Straight-line distance ignores rivers, highways and one-way grids. After
+// scoring, the service worker sends the top candidates to the Routes API route
+// matrix and stores each one's travel time on the raw place (travelSeconds),
+// so the popup can re-rank without another request. Results can then be
+// limited to a maximum number of minutes, or have their score blended with it;
+// distance decay uses the travel time too, with or without a limit.
+
+import { CONFIG } from '../config/constants.js';
+
+const { MAX_MINUTES_LIMIT, BLEND_WEIGHT } = CONFIG.TRAVEL_TIME;
+
+// Popup travel modes and the Routes API travelMode each one maps to
+export const TRAVEL_MODES = {
+  walk: 'WALK',
+  drive: 'DRIVE',
+  bicycle: 'BICYCLE',
+  transit: 'TRANSIT'
+};
+
+/**
+ * Normalize raw travel options from the popup
+ * @param {object} [travel]
+ * @param {string} [travel.mode] - Key of TRAVEL_MODES, anything else turns travel time off
+ * @param {number} [travel.maxMinutes] - Travel time limit, null for none
+ * @param {string} [travel.use] - 'filter' drops slower places, 'blend' lowers their score
+ * @returns {object} - { mode, maxMinutes, use } with invalid values dropped to null
+ */
+export function normalizeTravel(travel = {}) {
+  const maxMinutes = Number(travel?.maxMinutes);
+
+  return {
+    mode: Object.hasOwn(TRAVEL_MODES, travel?.mode) ? travel.mode : null,
+    maxMinutes: travel?.maxMinutes && maxMinutes >= 1 ? Math.min(maxMinutes, MAX_MINUTES_LIMIT) : null,
+    use: travel?.use === 'blend' ? 'blend' : 'filter'
+  };
+}
+
+/**
+ * Filter or blend scored places by their travel time
+ * Places that weren't timed or have no route count as beyond the limit:
+ * filtering drops them, blending gives them the full penalty. Otherwise the
+ * blended score falls linearly to (1 - BLEND_WEIGHT) of the score at maxMinutes.
+ * @param {Array} places - Places sorted by score (from calculateScores)
+ * @param {object} travel - Normalized travel options
+ * @returns {Array} - Places sorted by the resulting score
+ */
+export function applyTravelTimes(places, travel) {
+  if (!travel?.mode || travel.maxMinutes === null) {
+    return places;
+  }
+
+  const limit = travel.maxMinutes * 60;
+
+  if (travel.use === 'filter') {
+    return places.filter(place => typeof place.travelSeconds === 'number' && place.travelSeconds <= limit);
+  }
+
+  return places
+    .map(place => {
+      const share = typeof place.travelSeconds === 'number' ? Math.min(place.travelSeconds / limit, 1) : 1;
+      const score = place.blendedScore ?? place.bayesianScore;
+      return { ...place, blendedScore: score * (1 - BLEND_WEIGHT * share) };
+    })
+    .sort((a, b) => (b.blendedScore ?? b.bayesianScore) - (a.blendedScore ?? a.bayesianScore));
+}
@@ -0,0 +1,160 @@
+// Per-place rating trends
+//
+// Every fresh search stores each place's rating and review count as a compact
+// [timestamp, rating, reviewCount] point. Points closer together than
+// TRENDS.MIN_INTERVAL_HOURS replace the previous one, so repeated searches in
+// a day don't crowd out the long-term series. Points older than
+// TRENDS.THIN_AFTER_DAYS are thinned to one a week, which keeps the whole
+// WINDOW_DAYS summarized on result cards within MAX_POINTS_PER_PLACE.
+
+import { CONFIG } from '../config/constants.js';
+import { getRatingHistory, saveRatingHistory } from './storage.js';
+
+const { MIN_INTERVAL_HOURS, THIN_AFTER_DAYS, THINNED_INTERVAL_DAYS, MAX_POINTS_PER_PLACE, MAX_PLACES, WINDOW_DAYS } = CONFIG.TRENDS;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Serialize read-modify-write cycles so overlapping searches don't drop points
+let pendingWrite = Promise.resolve();
+
+/**
+ * Record the current rating and review count of each place
+ * @param {Array} places - Raw places from the Places API
+ * @param {number} [now]
+ * @returns {Promise<void>}
+ */
+export function recordObservations(places, now = Date.now()) {
+  const observed = places.filter(place =>
+    place.id && typeof place.rating === 'number' && typeof place.userRatingCount === 'number'
+  );
+  if (observed.length === 0) return pendingWrite;
+
+  pendingWrite = pendingWrite
+    .then(async () => {
+      const history = await getRatingHistory();
+
+      observed.forEach(place => {
+        const series = history[place.id] || [];
+        const point = [now, place.rating, place.userRatingCount];
+        const last = series[series.length - 1];
+
+        if (last && now - last[0] < MIN_INTERVAL_HOURS * 60 * 60 * 1000) {
+          series[series.length - 1] = point;
+        } else {
+          series.push(point);
+        }
+
+        history[place.id] = thinSeries(series, now).slice(-MAX_POINTS_PER_PLACE);
+      });
+
+      evict(history, MAX_PLACES);
+      try {
+        await saveRatingHistory(history);
+      } catch (error) {
+        // Most likely the storage quota: keep the more recent half and retry once
+        console.warn('Rating history write failed, trimming:', error);
+        evict(history, Math.floor(Object.keys(history).length / 2));
+        await saveRatingHistory(history);
+      }
+    })
+    .catch(error => console.error('Rating history write failed:', error));
+
+  return pendingWrite;
+}
+
+/**
+ * Drop points outside the trend window and thin out older ones
+ * Points older than THIN_AFTER_DAYS keep only the first of every
+ * THINNED_INTERVAL_DAYS, so the oldest point in the window survives.
+ * @param {Array} series - [[timestamp, rating, reviewCount], ...], oldest first
+ * @param {number} [now]
+ * @returns {Array} - The kept points, oldest first
+ */
+export function thinSeries(series, now = Date.now()) {
+  const windowStart = now - WINDOW_DAYS * DAY_MS;
+  const thinBefore = now - THIN_AFTER_DAYS * DAY_MS;
+  const bucketMs = THINNED_INTERVAL_DAYS * DAY_MS;
+  let lastBucket = null;
+
+  return series.filter(([time]) => {
+    if (time < windowStart) return false;
+    if (time >= thinBefore) return true;
+
+    const bucket = Math.floor(time / bucketMs);
+    if (bucket === lastBucket) return false;
+    lastBucket = bucket;
+    return true;
+  });
+}
+
+/**
+ * Look up the observation series for some places
+ * @param {string[]} placeIds
+ * @returns {Promise<object>} - Map of place ID to series (places never observed are omitted)
+ */
+export async function getTrends(placeIds) {
+  const history = await getRatingHistory();
+
+  return placeIds.reduce((trends, placeId) => {
+    if (history[placeId]) trends[placeId] = history[placeId];
+    return trends;
+  }, {});
+}
+
+/**
+ * Summarize how a place changed over the trend window
+ * Compares the oldest point inside the window with the latest one.
+ * @param {Array} series - [[timestamp, rating, reviewCount], ...], oldest first
+ * @param {number} [now]
+ * @returns {object|null} - { ratingDelta, reviewDelta, days, points }, or null with fewer than two points
+ */
+export function summarizeTrend(series, now = Date.now()) {
+  const windowStart = now - WINDOW_DAYS * DAY_MS;
+  const points = (series || []).filter(point => point[0] >= windowStart);
+  if (points.length < 2) return null;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return {
+    ratingDelta: Math.round((last[1] - first[1]) * 10) / 10,
+    reviewDelta: last[2] - first[2],
+    days: Math.max(1, Math.round((last[0] - first[0]) / DAY_MS)),
+    points
+  };
+}
+
+/**
+ * Build SVG polyline points for a rating sparkline
+ * @param {Array} points - Series points, oldest first
+ * @param {number} width
+ * @param {number} height
+ * @returns {string} - e.g. "0,12 30,8 60,4"
+ */
+export function sparklinePoints(points, width, height) {
+  const times = points.map(point => point[0]);
+  const ratings = points.map(point => point[1]);
+  const minTime = Math.min(...times);
+  const timeSpan = Math.max(...times) - minTime || 1;
+  const maxRating = Math.max(...ratings);
+  const midRating = (Math.min(...ratings) + maxRating) / 2;
+  // Center flat lines and keep small wobbles from filling the whole height
+  const ratingSpan = Math.max(maxRating - Math.min(...ratings), 0.2);
+
+  return points.map(([time, rating]) => {
+    const x = ((time - minTime) / timeSpan) * width;
+    const y = height / 2 - ((rating - midRating) / ratingSpan) * height;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+}
+
+function evict(history, maxPlaces) {
+  const placeIds = Object.keys(history);
+  if (placeIds.length <= maxPlaces) return;
+
+  const lastObserved = placeId => history[placeId][history[placeId].length - 1][0];
+
+  placeIds
+    .sort((a, b) => lastObserved(a) - lastObserved(b))
+    .slice(0, placeIds.length - maxPlaces)
+    .forEach(placeId => delete history[placeId]);
+}
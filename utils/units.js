@@ -0,0 +1,80 @@
+// Metric and imperial distance units
+//
+// Radii and distances are stored and sent in kilometres (radiusKm, distanceKm,
+// the saved radius preference); conversion only happens for display, the
+// radius slider and exported files.
+
+import { CONFIG } from '../config/constants.js';
+import { getLocaleSettings } from './storage.js';
+
+export const KM_PER_MILE = 1.609344;
+
+export const UNIT_SYSTEMS = {
+  metric: { unit: 'kilometer', abbreviation: 'km', kmPerUnit: 1 },
+  imperial: { unit: 'mile', abbreviation: 'mi', kmPerUnit: KM_PER_MILE }
+};
+
+// Regions where everyday distances are given in miles
+const IMPERIAL_REGIONS = ['US', 'GB', 'LR', 'MM'];
+
+/**
+ * Resolve the unit system from the saved preference
+ * "Auto" (empty) follows the region preference, then the browser's region.
+ * @returns {Promise<string>} - 'metric' or 'imperial'
+ */
+export async function getUnits() {
+  const { units, region } = await getLocaleSettings();
+  if (UNIT_SYSTEMS[units]) {
+    return units;
+  }
+
+  const uiRegion = chrome.i18n.getUILanguage().split(/[-_]/)[1] || '';
+  return IMPERIAL_REGIONS.includes((region || uiRegion).toUpperCase()) ? 'imperial' : 'metric';
+}
+
+/**
+ * Convert a distance in the given units to kilometres
+ * @param {number} value
+ * @param {string} units - 'metric' or 'imperial'
+ * @returns {number}
+ */
+export function toKm(value, units) {
+  return value * UNIT_SYSTEMS[units].kmPerUnit;
+}
+
+/**
+ * Convert kilometres to the given units
+ * @param {number} km
+ * @param {string} units - 'metric' or 'imperial'
+ * @returns {number}
+ */
+export function fromKm(km, units) {
+  return km / UNIT_SYSTEMS[units].kmPerUnit;
+}
+
+/**
+ * Radius slider bounds in the given units
+ * The maximum is MAX_RADIUS_KM rounded down to a whole step.
+ * @param {string} units - 'metric' or 'imperial'
+ * @returns {object} - { min, max, step }
+ */
+export function getRadiusRange(units) {
+  const { MIN, STEP } = CONFIG.RADIUS_SLIDER[units];
+  return {
+    min: MIN,
+    max: Math.floor(fromKm(CONFIG.MAX_RADIUS_KM, units) / STEP) * STEP,
+    step: STEP
+  };
+}
+
+/**
+ * Nearest slider value for a radius in kilometres
+ * @param {number} km
+ * @param {string} units - 'metric' or 'imperial'
+ * @returns {number} - Radius in the given units, on a slider step
+ */
+export function snapRadius(km, units) {
+  const { min, max, step } = getRadiusRange(units);
+  const value = Math.round(fromKm(km, units) / step) * step;
+  return Math.min(max, Math.max(min, value));
+}
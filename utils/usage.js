@@ -0,0 +1,277 @@
+// API usage metering and cost estimates
+//
+// Every successful Places and Routes request is counted by SKU and field-mask tier, per
+// day and per month. The popup turns the monthly counts into an estimated
+// bill, and the service worker refuses to search once the budget is used up.
+//
+// Autocomplete requests are counted at the per-request price, even with a
+// session token: Google only bills a session as one Place Details call when it
+// actually ends in one. The session's requests are moved to the free
+// autocompleteSession SKU when that call is made.
+
+import { CONFIG } from '../config/constants.js';
+import { getApiUsage, saveApiUsage, getUsageBudget } from './storage.js';
+import { t } from './i18n.js';
+
+const { PRICING, USAGE_HISTORY_DAYS, AUTOCOMPLETE_SESSION_HOURS } = CONFIG;
+
+export const Skus = {
+  NEARBY_SEARCH: 'searchNearby',
+  TEXT_SEARCH: 'searchText',
+  AUTOCOMPLETE: 'autocomplete',
+  AUTOCOMPLETE_SESSION: 'autocompleteSession',
+  PLACE_DETAILS: 'placeDetails',
+  ROUTE_MATRIX: 'routeMatrix',
+  COMPUTE_ROUTES: 'computeRoutes'
+};
+
+// English SKU names, used when a locale has no sku_<id> message
+export const SkuLabels = {
+  searchNearby: 'Nearby Search',
+  searchText: 'Text Search',
+  autocomplete: 'Autocomplete',
+  autocompleteSession: 'Autocomplete (session)',
+  placeDetails: 'Place Details',
+  routeMatrix: 'Route Matrix (elements)',
+  computeRoutes: 'Compute Routes'
+};
+
+/**
+ * Display name for a SKU in the UI language
+ * @param {string} sku - Value from Skus
+ * @returns {string}
+ */
+export function getSkuLabel(sku) {
+  return chrome.i18n.getMessage(`sku_${sku}`) || SkuLabels[sku] || sku;
+}
+
+// Billing tiers from cheapest to most expensive
+const TIER_ORDER = ['idsOnly', 'essentials', 'pro', 'enterprise', 'enterpriseAtmosphere', 'requests'];
+
+// Fields that push a request above the Essentials tier
+const FIELD_TIERS = {
+  id: 'idsOnly',
+  name: 'idsOnly',
+  nextPageToken: 'idsOnly',
+  displayName: 'pro',
+  businessStatus: 'pro',
+  googleMapsUri: 'pro',
+  primaryType: 'pro',
+  primaryTypeDisplayName: 'pro',
+  photos: 'pro',
+  utcOffsetMinutes: 'pro',
+  rating: 'enterprise',
+  userRatingCount: 'enterprise',
+  priceLevel: 'enterprise',
+  priceRange: 'enterprise',
+  currentOpeningHours: 'enterprise',
+  regularOpeningHours: 'enterprise',
+  nationalPhoneNumber: 'enterprise',
+  internationalPhoneNumber: 'enterprise',
+  websiteUri: 'enterprise',
+  reviews: 'enterpriseAtmosphere',
+  editorialSummary: 'enterpriseAtmosphere',
+  generativeSummary: 'enterpriseAtmosphere'
+};
+
+// Serialize counter updates so parallel requests are all counted
+let pendingWrite = Promise.resolve();
+
+/**
+ * Work out the billing tier a field mask falls into for a SKU
+ * @param {string} sku - One of Skus
+ * @param {string} [fieldMask] - Comma-separated X-Goog-FieldMask value
+ * @returns {string} - Tier key present in CONFIG.PRICING[sku]
+ */
+export function getFieldMaskTier(sku, fieldMask = '') {
+  const skuTiers = Object.keys(PRICING[sku] || {});
+
+  const fieldTier = fieldMask
+    .split(',')
+    .map(field => field.trim().replace(/^places\./, '').split('.')[0])
+    .filter(Boolean)
+    .reduce((highest, field) => {
+      const tier = FIELD_TIERS[field] || 'essentials';
+      return TIER_ORDER.indexOf(tier) > TIER_ORDER.indexOf(highest) ? tier : highest;
+    }, 'idsOnly');
+
+  // Bill at the cheapest tier the SKU offers that covers every field
+  return skuTiers
+    .sort((a, b) => TIER_ORDER.indexOf(a) - TIER_ORDER.indexOf(b))
+    .find(tier => TIER_ORDER.indexOf(tier) >= TIER_ORDER.indexOf(fieldTier)) ||
+    skuTiers[skuTiers.length - 1];
+}
+
+/**
+ * Count one API request against today's and this month's totals
+ * @param {string} sku - One of Skus
+ * @param {string} [fieldMask] - Field mask sent with the request
+ * @param {number} [count] - Billable units in the request (route matrix elements)
+ * @returns {Promise<void>}
+ */
+export function recordApiCall(sku, fieldMask, count = 1) {
+  const counterKey = `${sku}:${getFieldMaskTier(sku, fieldMask)}`;
+  const periods = getPeriodKeys(new Date());
+
+  return updateUsage(usage => addCount(usage, periods, counterKey, count));
+}
+
+/**
+ * Count one autocomplete request at the per-request price
+ * Requests with a session token are remembered, so they can be credited back
+ * if the session ends in Place Details.
+ * @param {string} [sessionToken]
+ * @returns {Promise<void>}
+ */
+export function recordAutocompleteRequest(sessionToken) {
+  const counterKey = `${Skus.AUTOCOMPLETE}:requests`;
+  const now = new Date();
+  const periods = getPeriodKeys(now);
+
+  return updateUsage(usage => {
+    addCount(usage, periods, counterKey, 1);
+    if (!sessionToken) return;
+
+    // Each request is remembered with the day it was counted against
+    const session = usage.sessions[sessionToken] || { startedAt: now.getTime(), requests: [] };
+    session.requests.push(periods);
+    usage.sessions[sessionToken] = session;
+  });
+}
+
+/**
+ * Move a session's autocomplete requests to the free session SKU
+ * Call once the session's Place Details request has been made.
+ * @param {string} sessionToken
+ * @returns {Promise<void>}
+ */
+export function creditAutocompleteSession(sessionToken) {
+  return updateUsage(usage => {
+    const session = usage.sessions[sessionToken];
+    if (!session) return;
+
+    session.requests.forEach(periods => {
+      addCount(usage, periods, `${Skus.AUTOCOMPLETE}:requests`, -1);
+      addCount(usage, periods, `${Skus.AUTOCOMPLETE_SESSION}:requests`, 1);
+    });
+    delete usage.sessions[sessionToken];
+  });
+}
+
+// Apply a change to the stored counters, one change at a time
+function updateUsage(change) {
+  pendingWrite = pendingWrite
+    .then(async () => {
+      const usage = await getApiUsage();
+      usage.sessions = usage.sessions || {};
+
+      change(usage);
+
+      pruneDays(usage.days);
+      pruneSessions(usage.sessions);
+      await saveApiUsage(usage);
+    })
+    .catch(error => console.error('Failed to record API usage:', error));
+
+  return pendingWrite;
+}
+
+function addCount(usage, { day, month }, counterKey, count) {
+  // Pruned days can't be credited back, but the month still can
+  if (usage.days[day] || count > 0) {
+    usage.days[day] = usage.days[day] || {};
+    usage.days[day][counterKey] = (usage.days[day][counterKey] || 0) + count;
+  }
+  usage.months[month] = usage.months[month] || {};
+  usage.months[month][counterKey] = (usage.months[month][counterKey] || 0) + count;
+}
+
+/**
+ * Summarize usage for today and the current month
+ * @param {Date} [date]
+ * @returns {Promise<object>} - { today, month, budget } with calls, cost and per-SKU lines
+ */
+export async function getUsageSummary(date = new Date()) {
+  await pendingWrite;
+  const [usage, budget] = await Promise.all([getApiUsage(), getUsageBudget()]);
+  const { day, month } = getPeriodKeys(date);
+
+  return {
+    today: summarizeCounts(usage.days[day] || {}),
+    month: summarizeCounts(usage.months[month] || {}),
+    budget
+  };
+}
+
+/**
+ * Throw if this month's estimated cost has reached the user's budget
+ * @returns {Promise<void>}
+ */
+export async function assertWithinBudget() {
+  await pendingWrite;
+  const { month, budget } = await getUsageSummary();
+
+  if (budget !== null && month.cost >= budget) {
+    throw new Error(t('errorBudgetReached', [budget.toFixed(2), month.cost.toFixed(2)]));
+  }
+}
+
+/**
+ * Whether this month's estimated cost is still under the user's budget
+ * Waits for counts still being written, so the last request is included.
+ * @returns {Promise<boolean>}
+ */
+export async function isWithinBudget() {
+  await pendingWrite;
+  const { month, budget } = await getUsageSummary();
+
+  return budget === null || month.cost < budget;
+}
+
+/**
+ * Estimate the cost of one counter bucket
+ * @param {object} counts - Map of 'sku:tier' to request count
+ * @returns {object} - { calls, cost, lines: [{ sku, tier, calls, cost }] }
+ */
+function summarizeCounts(counts) {
+  const lines = Object.entries(counts).map(([counterKey, calls]) => {
+    const [sku, tier] = counterKey.split(':');
+    const pricePerThousand = PRICING[sku]?.[tier] || 0;
+    return { sku, tier, calls, cost: (calls / 1000) * pricePerThousand };
+  });
+
+  return {
+    calls: lines.reduce((sum, line) => sum + line.calls, 0),
+    cost: lines.reduce((sum, line) => sum + line.cost, 0),
+    lines: lines.sort((a, b) => b.cost - a.cost || b.calls - a.calls)
+  };
+}
+
+/**
+ * Day and month counter keys for a moment, in the user's local time
+ * so days and the monthly budget roll over at local midnight
+ * @param {Date} date
+ * @returns {object} - { day: 'YYYY-MM-DD', month: 'YYYY-MM' }
+ */
+export function getPeriodKeys(date) {
+  const pad = value => String(value).padStart(2, '0');
+  const month = `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+  return { day: `${month}-${pad(date.getDate())}`, month };
+}
+
+// Sessions that never reached Place Details stay billed per request
+function pruneSessions(sessions) {
+  const cutoff = Date.now() - AUTOCOMPLETE_SESSION_HOURS * 60 * 60 * 1000;
+
+  Object.keys(sessions).forEach(token => {
+    if (sessions[token].startedAt < cutoff) delete sessions[token];
+  });
+}
+
+function pruneDays(days) {
+  const { day: cutoff } = getPeriodKeys(new Date(Date.now() - USAGE_HISTORY_DAYS * 24 * 60 * 60 * 1000));
+
+  Object.keys(days).forEach(day => {
+    if (day < cutoff) delete days[day];
+  });
+}
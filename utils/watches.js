@@ -0,0 +1,133 @@
+// Saved-search watches: searches re-run in the background and compared with
+// their last snapshot
+
+import { getWatches, saveWatches } from './storage.js';
+import { t } from './i18n.js';
+import { CONFIG } from '../config/constants.js';
+
+/**
+ * Start watching a search
+ * @param {object} params
+ * @param {object} params.request - SEARCH message payload to re-run
+ * @param {object} params.searchParams - Display parameters, for notification text
+ * @param {Array} params.results - Current ranked results, the first snapshot
+ * @param {number} params.topN - Size of the top list to watch
+ * @param {number} params.minRating - Alert when a tracked place falls below this rating
+ * @param {number} params.intervalHours - Time between refreshes
+ * @returns {Promise<object>} - The stored watch
+ */
+export async function addWatch({ request, searchParams, results, topN, minRating, intervalHours }) {
+  const watches = await getWatches();
+
+  if (watches.length >= CONFIG.WATCH.MAX_WATCHES) {
+    throw new Error(t('errorTooManyWatches', CONFIG.WATCH.MAX_WATCHES));
+  }
+
+  // Background runs follow normal cache rules, and the autocomplete session has long ended
+  const { bypassCache, ...replayable } = request;
+  const location = { ...replayable.location };
+  delete location.sessionToken;
+
+  const watch = {
+    id: crypto.randomUUID(),
+    createdAt: Date.now(),
+    request: { ...replayable, location },
+    searchParams,
+    topN,
+    minRating,
+    intervalHours,
+    lastCheckedAt: Date.now(),
+    lastError: null,
+    snapshot: toSnapshot(results, topN)
+  };
+
+  await saveWatches([...watches, watch]);
+  return watch;
+}
+
+/**
+ * List watches, oldest first
+ * @returns {Promise<Array>}
+ */
+export async function listWatches() {
+  return getWatches();
+}
+
+/**
+ * Stop watching a search
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function removeWatch(id) {
+  const watches = await getWatches();
+  await saveWatches(watches.filter(watch => watch.id !== id));
+}
+
+/**
+ * Store the outcome of a background refresh
+ * @param {string} id
+ * @param {object} changes - { snapshot?, lastError? }
+ * @returns {Promise<void>}
+ */
+export async function recordWatchCheck(id, { snapshot, lastError = null }) {
+  const watches = await getWatches();
+  const watch = watches.find(w => w.id === id);
+  if (!watch) return;
+
+  watch.lastCheckedAt = Date.now();
+  watch.lastError = lastError;
+  if (snapshot) watch.snapshot = snapshot;
+
+  await saveWatches(watches);
+}
+
+/**
+ * Watches whose refresh interval has elapsed
+ * @param {Array} watches
+ * @param {number} [now]
+ * @returns {Array}
+ */
+export function getDueWatches(watches, now = Date.now()) {
+  return watches.filter(watch => now - watch.lastCheckedAt >= watch.intervalHours * 60 * 60 * 1000);
+}
+
+/**
+ * Compare a fresh run with a watch's last snapshot
+ * @param {object} watch
+ * @param {Array} results - Fresh ranked results
+ * @param {Array} places - Fresh raw places, for tracked places outside the top list
+ * @returns {object} - { entered: [{ placeId, name, rank }], ratingDrops: [{ placeId, name, from, to }], snapshot }
+ */
+export function detectWatchChanges(watch, results, places) {
+  const snapshot = toSnapshot(results, watch.topN);
+  const previousIds = new Set(watch.snapshot.map(place => place.placeId));
+
+  const entered = snapshot
+    .map((place, index) => ({ placeId: place.placeId, name: place.name, rank: index + 1 }))
+    .filter(place => !previousIds.has(place.placeId));
+
+  // A tracked place may have dropped out of the top list, so look it up in all places
+  const currentRatings = new Map(places.map(place => [place.id, place.rating]));
+  const ratingDrops = watch.snapshot
+    .filter(place => {
+      const current = currentRatings.get(place.placeId);
+      return typeof current === 'number' && place.rating >= watch.minRating && current < watch.minRating;
+    })
+    .map(place => ({
+      placeId: place.placeId,
+      name: place.name,
+      from: place.rating,
+      to: currentRatings.get(place.placeId)
+    }));
+
+  return { entered, ratingDrops, snapshot };
+}
+
+function toSnapshot(results, topN) {
+  return results.slice(0, topN).map(({ placeId, name, rating, reviewCount }) => ({
+    placeId,
+    name,
+    rating,
+    reviewCount
+  }));
+}